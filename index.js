@@ -9,18 +9,37 @@ import {
     saveChat,
     saveChatConditional,
     openCharacterChat,
-    token
+    token,
+    saveMetadata,
+    deleteCharacterChatByName
 } from '../../../../script.js';
 import {
-    selected_group
+    selected_group,
+    groups,
+    openGroupChat,
+    renameGroupChat,
+    getGroupPastChats,
+    saveGroupBookmarkChat,
+    deleteGroupChatByName
 } from '../../../group-chats.js';
 import { extension_settings } from '../../../extensions.js';
-import { uuidv4 } from '../../../utils.js';
+import { uuidv4, timestampToMoment } from '../../../utils.js';
 import { humanizedDateTime } from '../../../RossAscends-mods.js';
 import { POPUP_TYPE, Popup } from '../../../popup.js';
 import { ChatTreeView } from './src/ChatTreeView.js';
 import { ChatMigrator } from './src/ChatMigrator.js';
 import { StorageRebuilder } from './src/StorageRebuilder.js';
+import { ChatFileService } from './src/ChatFileService.js';
+import { BranchStorage, STORAGE_BACKENDS } from './src/BranchStorage.js';
+import { SyncQueue } from './src/SyncQueue.js';
+import { BranchDeleteHandler } from './src/BranchDeleteHandler.js';
+import { SearchIndex } from './src/SearchIndex.js';
+import { SiblingNavigator } from './src/SiblingNavigator.js';
+import { BranchBadges } from './src/BranchBadges.js';
+import { BranchTreeCache } from './src/BranchTreeCache.js';
+import { BranchBreadcrumbs } from './src/BranchBreadcrumbs.js';
+import { BranchCreateDialog, DEFAULT_NAME_TEMPLATE, NAME_PLACEHOLDERS } from './src/BranchCreateDialog.js';
+import { BranchNameSuggester, AUTO_NAME_MODES, AUTO_NAME_MODE_LABELS } from './src/BranchNameSuggester.js';
 
 /**
  * Chat Branches Extension
@@ -30,7 +49,7 @@ import { StorageRebuilder } from './src/StorageRebuilder.js';
 const extensionName = 'SillyTavern-ChatBranches';
 const PLUGIN_BASE_URL = '/api/plugins/chat-branches-plugin';
 
-let pluginRunning = false;
+let storageReady = false;
 let notifiedPluginMissing = false;
 const PLUGIN_REPO_URL = 'https://github.com/spaceman2408/chat-branches-plugin';
 
@@ -75,70 +94,145 @@ async function askInstallPlugin() {
     await dlg.show();
 }
 
-// Check if plugin is running
-async function checkPluginStatus() {
-    try {
-        const response = await fetch(PLUGIN_BASE_URL, { method: 'HEAD' });
-        if (response.ok) {
-            pluginRunning = true;
-        } else {
-            throw new Error('Plugin not responding');
+// Check if the selected storage backend is usable
+async function checkStorageStatus() {
+    storageReady = await branchStorage.checkAvailable();
+    if (!storageReady) {
+        console.error('[Chat Branches] Storage backend unavailable:', branchStorage.getBackendLabel());
+
+        // The plugin may be restarting: writes wait in the sync queue, which keeps checking for it
+        if (!branchStorage.isPluginBackend()) {
+            extension_settings[extensionName].enabled = false;
+            saveSettingsDebounced();
         }
-    } catch (error) {
-        console.error('[Chat Branches] Plugin check failed:', error);
-        extension_settings[extensionName].enabled = false;
-        saveSettingsDebounced();
     }
 }
 
+/**
+ * Whether branch records can be written now or queued until the plugin is back
+ * @returns {boolean}
+ */
+function canWriteBranches() {
+    return extension_settings[extensionName].enabled && (storageReady || branchStorage.isPluginBackend());
+}
+
+/**
+ * Error shown when the extension is used while the storage backend is unavailable
+ * @returns {string}
+ */
+function getStorageUnavailableMessage() {
+    return branchStorage.isPluginBackend()
+        ? 'Chat Branches plugin is not installed or not running.'
+        : `Chat Branches storage (${branchStorage.getBackendLabel()}) is not available in this browser.`;
+}
+
+// Resolves whether the active chat belongs to a character or a group
+const chatFiles = new ChatFileService({
+    characters,
+    this_chid,
+    token,
+    selected_group,
+    groups,
+    openCharacterChat,
+    openGroupChat,
+    renameGroupChat,
+    getGroupPastChats,
+    deleteCharacterChatByName,
+    deleteGroupChatByName,
+    chat_metadata,
+    saveMetadata
+});
+
+/**
+ * Sync the chat file service with the current character/group selection
+ */
+function refreshChatFiles() {
+    chatFiles.updateDependencies({
+        characters,
+        this_chid,
+        token,
+        selected_group,
+        groups,
+        chat_metadata
+    });
+}
+
 // Initialize settings
 extension_settings[extensionName] = extension_settings[extensionName] || { enabled: true };
 if (!extension_settings[extensionName].hasOwnProperty('enabled')) {
     extension_settings[extensionName].enabled = true;
     saveSettingsDebounced();
 }
+if (!extension_settings[extensionName].hasOwnProperty('storageBackend')) {
+    extension_settings[extensionName].storageBackend = STORAGE_BACKENDS.PLUGIN;
+    saveSettingsDebounced();
+}
+
+// Branch records are stored through the backend selected in the settings panel
+const branchStorage = new BranchStorage({
+    backendId: extension_settings[extensionName].storageBackend,
+    pluginBaseUrl: PLUGIN_BASE_URL,
+    token
+});
+
+// Writes that fail while the plugin is unreachable are replayed from here
+const syncQueue = new SyncQueue({ storage: branchStorage });
+
+// Keeps children in the tree when a chat file is deleted
+const branchDeleteHandler = new BranchDeleteHandler({ storage: branchStorage, chatFiles, syncQueue });
+
+// Message text of every branch, used by the tree view search
+const searchIndex = new SearchIndex({ chatFiles });
+
+// Tree of the active owner, fetched once per chat change for the in-chat widgets
+const treeCache = new BranchTreeCache({ storage: branchStorage });
+
+// "‹ 2/3 ›" controls for flipping between sibling branches in the chat
+const siblingNavigator = new SiblingNavigator({ treeCache, chatFiles });
+
+// Child branch counts on branch point messages
+const branchBadges = new BranchBadges({ treeCache, chatFiles, timestampToMoment });
+
+// Root -> current branch path above the chat
+const branchBreadcrumbs = new BranchBreadcrumbs({
+    treeCache,
+    chatFiles,
+    settings: extension_settings[extensionName],
+    saveSettings: saveSettingsDebounced
+});
+
+// Optional name, note and tags prompt for new branches
+const branchCreateDialog = new BranchCreateDialog();
 
 // ============================================================================
-// Plugin Communication
+// Branch Storage
 // ============================================================================
 
 /**
- * Send branch data to plugin
+ * Register a new branch with the storage backend
  * @param {Object} branchData Branch information
  */
-async function registerBranchWithPlugin(branchData) {
-    if (!extension_settings[extensionName].enabled || !pluginRunning) return;
+async function registerBranch(branchData) {
+    if (!canWriteBranches()) return;
 
     try {
         if (branchData.chat_name !== undefined) {
             branchData.chat_name = String(branchData.chat_name);
         }
 
-        const response = await fetch(`${PLUGIN_BASE_URL}/branch`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            },
-            body: JSON.stringify(branchData)
-        });
-
-        const result = await response.json();
-        if (!result.success) {
-            console.error('[Chat Branches] Failed to register branch:', result.error);
-        }
+        await syncQueue.submit('createBranch', branchData);
     } catch (error) {
-        console.error('[Chat Branches] Error communicating with plugin:', error);
+        console.error('[Chat Branches] Failed to register branch:', error);
     }
 }
 
 /**
- * Update branch metadata in plugin
+ * Update branch metadata in the storage backend
  * @param {string} uuid Branch UUID
  * @param {Object} updates Fields to update
  */
-async function updateBranchInPlugin(uuid, updates) {
-    if (!extension_settings[extensionName].enabled || !pluginRunning || !uuid) return;
+async function updateBranch(uuid, updates) {
+    if (!canWriteBranches() || !uuid) return;
     
     // Check if updates object is empty or contains only undefined/null values
     const hasValidUpdates = Object.entries(updates).some(([key, value]) =>
@@ -146,7 +240,7 @@ async function updateBranchInPlugin(uuid, updates) {
     );
     
     if (!hasValidUpdates) {
-        console.log('[Chat Branches] No valid updates to send, skipping API call');
+        console.log('[Chat Branches] No valid updates to send, skipping storage update');
         return;
     }
 
@@ -156,50 +250,9 @@ async function updateBranchInPlugin(uuid, updates) {
         }
 
         console.log('[Chat Branches] Sending update to stored data:', { uuid, updates });
-        const response = await fetch(`${PLUGIN_BASE_URL}/branch/${uuid}`, {
-            method: 'PATCH',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            },
-            body: JSON.stringify(updates)
-        });
-
-        const result = await response.json();
-        if (!result.success) {
-            console.error('[Chat Branches] Failed to update branch:', result.error);
-        }
-    } catch (error) {
-        console.error('[Chat Branches] Error updating branch in plugin:', error);
-    }
-}
-
-/**
- * Delete branch from plugin
- * @param {string} uuid Branch UUID
- * @param {boolean} cascade Whether to delete children too
- */
-async function deleteBranchFromPlugin(uuid, cascade = false) {
-    if (!extension_settings[extensionName].enabled || !pluginRunning || !uuid) return;
-
-    try {
-        console.log('[Chat Branches] Deleting branch from stored data:', { uuid, cascade });
-        const response = await fetch(`${PLUGIN_BASE_URL}/branch/${uuid}?cascade=${cascade}`, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            }
-        });
-
-        const result = await response.json();
-        if (!result.success) {
-            console.error('[Chat Branches] Failed to delete branch:', result.error);
-        } else {
-            console.log('[Chat Branches] Branch deleted successfully:', uuid);
-        }
+        await syncQueue.submit('updateBranch', uuid, updates);
     } catch (error) {
-        console.error('[Chat Branches] Error deleting branch from plugin:', error);
+        console.error('[Chat Branches] Failed to update branch:', error);
     }
 }
 
@@ -226,7 +279,7 @@ function updateMigrationButtonState(isEnabled) {
 }
 
 function updateTreeViewButtonsState(enabled) {
-    if (!enabled || !pluginRunning) {
+    if (!enabled || !storageReady) {
         // Remove buttons instead of styling them
         removeTreeViewButton();
         removeMessageTreeViewButtons();
@@ -254,9 +307,9 @@ async function loadSettingsPanel() {
     $("#chat_branches_enabled").on("input", function() {
         const isChecked = !!$(this).prop("checked");
         
-        // Prevent enabling if plugin is not running
-        if (isChecked && !pluginRunning) {
-            toastr.error('Cannot enable extension: Chat Branches plugin is not installed or not running.', 'Plugin Error');
+        // Prevent enabling if the storage backend is not available (plugin writes are queued instead)
+        if (isChecked && !storageReady && !branchStorage.isPluginBackend()) {
+            toastr.error(`Cannot enable extension: ${getStorageUnavailableMessage()}`, 'Storage Error');
             $(this).prop("checked", false);
             return;
         }
@@ -281,6 +334,8 @@ async function loadSettingsPanel() {
         updateMigrationButtonState(isChecked);
         // Update tree view buttons state
         updateTreeViewButtonsState(isChecked);
+        if (!isChecked && chatTreeView.isOpen()) chatTreeView.hide();
+        refreshChatWidgets();
     });
 
     // Initialize text appearance
@@ -300,12 +355,99 @@ async function loadSettingsPanel() {
     // Initialize migration button state based on extension enabled/disabled and plugin status
     updateMigrationButtonState(initialChecked);
     updateTreeViewButtonsState(initialChecked);
+
+    // New branch names
+    $("#chat_branches_name_template")
+        .attr('placeholder', DEFAULT_NAME_TEMPLATE)
+        .val(extension_settings[extensionName].branchNameTemplate || '')
+        .on("input", function() {
+            extension_settings[extensionName].branchNameTemplate = String($(this).val()).trim();
+            saveSettingsDebounced();
+        });
+    $("#chat_branches_name_placeholders").text(NAME_PLACEHOLDERS.map(key => `{{${key}}}`).join(' '));
+    $("#chat_branches_auto_name")
+        .html(Object.values(AUTO_NAME_MODES).map(mode => `<option value="${mode}">${AUTO_NAME_MODE_LABELS[mode]}</option>`).join(''))
+        .val(extension_settings[extensionName].branchAutoName || AUTO_NAME_MODES.OFF)
+        .on("change", function() {
+            extension_settings[extensionName].branchAutoName = String($(this).val());
+            saveSettingsDebounced();
+        });
+    $("#chat_branches_create_dialog")
+        .prop("checked", !!extension_settings[extensionName].branchCreateDialog)
+        .on("input", function() {
+            extension_settings[extensionName].branchCreateDialog = !!$(this).prop("checked");
+            saveSettingsDebounced();
+        });
+
+    // Storage backend selector
+    $("#chat_branches_storage_backend").val(branchStorage.getBackendId());
+    $("#chat_branches_storage_backend").on("change", async function() {
+        const backendId = String($(this).val());
+        extension_settings[extensionName].storageBackend = backendId;
+        saveSettingsDebounced();
+
+        branchStorage.setBackend(backendId);
+        await checkStorageStatus();
+
+        // The backend check may have disabled the extension
+        $("#chat_branches_enabled").prop("checked", extension_settings[extensionName].enabled).trigger('input');
+        updateStorageStatus();
+
+        if (storageReady) {
+            toastr.success(`Now storing branches in: ${branchStorage.getBackendLabel()}`, 'Chat Branches');
+        }
+    });
     
-    // Handle plugin not running scenario
-    if (!pluginRunning) {
+    updateStorageStatus();
+
+    // Pending sync operations
+    syncQueue.onChange(updateSyncStatus);
+    updateSyncStatus(syncQueue.getPendingCount());
+    syncQueue.onAvailabilityChange(handlePluginAvailability);
+}
+
+/**
+ * Follow the plugin going away and coming back, as seen by the sync queue
+ * @param {boolean} available - Plugin responds
+ */
+function handlePluginAvailability(available) {
+    if (!branchStorage.isPluginBackend() || available === storageReady) return;
+
+    storageReady = available;
+    console.log(`[Chat Branches] Plugin ${available ? 'is back' : 'cannot be reached'}`);
+    updateStorageStatus();
+    updateTreeViewButtonsState(extension_settings[extensionName].enabled);
+    refreshChatWidgets();
+}
+
+/**
+ * Show how many storage writes are waiting for the plugin
+ * @param {number} pendingCount - Number of queued operations
+ */
+function updateSyncStatus(pendingCount) {
+    if (pendingCount > 0) {
+        const label = pendingCount === 1 ? 'operation' : 'operations';
+        $("#chat_branches_sync_count").text(`${pendingCount} pending sync ${label}`);
+        $("#chat_branches_sync_section").show();
+    } else {
+        $("#chat_branches_sync_section").hide();
+    }
+}
+
+/**
+ * Reflect storage backend availability in the settings panel
+ */
+function updateStorageStatus() {
+    if (!storageReady && !branchStorage.isPluginBackend()) {
         $("#chat_branches_enabled").prop("disabled", true);
-        $("#chat_branches_enabled").attr('title', 'Plugin not installed or not running');
-        
+        $("#chat_branches_enabled").attr('title', getStorageUnavailableMessage());
+    } else {
+        $("#chat_branches_enabled").prop("disabled", false);
+        $("#chat_branches_enabled").removeAttr('title');
+    }
+
+    // Handle plugin not running scenario
+    if (!storageReady && branchStorage.isPluginBackend()) {
         // Show install button and message section
         $("#chat_branches_plugin_missing_section").show();
         
@@ -315,7 +457,7 @@ async function loadSettingsPanel() {
             notifiedPluginMissing = true;
         }
     } else {
-        // Hide install button section if plugin is running
+        // Hide install button section if plugin is running or not used
         $("#chat_branches_plugin_missing_section").hide();
     }
 }
@@ -325,36 +467,36 @@ async function loadSettingsPanel() {
 // ============================================================================
 
 async function ensureChatUUID() {
-    // Skip group chats entirely - let SillyTavern handle them
-    if (selected_group) {
-        return;
-    }
-
     if (!extension_settings[extensionName].enabled || !chat_metadata) return;
 
+    refreshChatFiles();
+
     // Skip checkpoint chats - they are bookmarks, not true branches
-    const currentChatName = characters[this_chid]?.chat;
+    const currentChatName = chatFiles.getCurrentChatName();
     if (isCheckpointChat(currentChatName)) {
         console.log('[Chat Branches] Skipping checkpoint chat:', currentChatName);
         return;
     }
 
+    // Chats removed from the tree stay out of it
+    if (chat_metadata.branch_untracked && !chat_metadata.uuid) {
+        console.log('[Chat Branches] Skipping untracked chat:', currentChatName);
+        return;
+    }
+
     let isNewChat = false;
 
     // Check if we need to generate UUIDs
     if (!chat_metadata.uuid) {
-        const characterId = characters[this_chid]?.avatar || null;
-        const chatName = characters[this_chid]?.chat || 'Unknown';
+        const ownerId = chatFiles.getOwnerId();
+        const chatName = currentChatName || 'Unknown';
 
         // Check if a branch already exists for this chat
         try {
-            const response = await fetch(`${PLUGIN_BASE_URL}/branches?chat_name=${encodeURIComponent(chatName)}`, {
-                headers: { 'X-CSRF-Token': token }
-            });
-            const data = await response.json();
-            if (data.success && data.branches.length > 0) {
-                // Find branch for this character
-                const existingBranch = data.branches.find(b => b.character_id === characterId && b.chat_name === chatName);
+            const branches = await branchStorage.findBranchesByChatName(chatName);
+            if (branches.length > 0) {
+                // Find branch for this character or group
+                const existingBranch = branches.find(b => b.character_id === ownerId && b.chat_name === chatName);
                 if (existingBranch) {
                     // Reuse existing branch data
                     chat_metadata.uuid = existingBranch.uuid;
@@ -363,7 +505,7 @@ async function ensureChatUUID() {
                     console.log('[Chat Branches] Found existing branch for chat:', chatName, 'uuid:', existingBranch.uuid);
 
                     // Update the branch with current info if needed
-                    await updateBranchInPlugin(existingBranch.uuid, {
+                    await updateBranch(existingBranch.uuid, {
                         chat_name: chatName
                     });
                     return;
@@ -382,25 +524,23 @@ async function ensureChatUUID() {
         chat_metadata.root_uuid = chat_metadata.uuid;
     }
 
-    // Register with plugin if this is a new chat or newly tracked
+    // Register with storage if this is a new chat or newly tracked
     if (isNewChat) {
-        // Validate we have valid character data before registering
-        if (!characters[this_chid] || !characters[this_chid].chat || characters[this_chid].chat === 'Unknown') {
-            console.log('[Chat Branches] Character data not ready, skipping plugin registration');
+        // Validate we have valid character/group data before registering
+        if (!chatFiles.hasOwner() || !currentChatName || currentChatName === 'Unknown') {
+            console.log('[Chat Branches] Character or group data not ready, skipping plugin registration');
             // UUID is already saved in chat_metadata, so it will be registered properly when chat loads
             return;
         }
 
-        const characterId = characters[this_chid]?.avatar || null;
-        const chatName = String(characters[this_chid]?.chat || 'Unknown');
-
-        await registerBranchWithPlugin({
+        await registerBranch({
             uuid: chat_metadata.uuid,
             parent_uuid: chat_metadata.parent_uuid || null,
             root_uuid: chat_metadata.root_uuid,
-            character_id: characterId,
-            chat_name: chatName,
+            character_id: chatFiles.getOwnerId(),
+            chat_name: String(currentChatName),
             branch_point: null,
+            message_count: chat.length,
             created_at: Date.now()
         });
     }
@@ -410,23 +550,25 @@ async function ensureChatUUID() {
 eventSource.on(event_types.CHAT_CHANGED, ensureChatUUID);
 eventSource.on(event_types.CHAT_CREATED, ensureChatUUID);
 
-// Hook chat renamed event to update plugin
-eventSource.on(event_types.CHAT_RENAMED, async (newName) => {
-    // Skip group chats entirely - let SillyTavern handle them
-    if (selected_group) {
-        return;
-    }
-    
+// Hook chat renamed event to update stored data
+eventSource.on(event_types.CHAT_RENAMED, async (renameData) => {
     if (!extension_settings[extensionName].enabled) return;
+
+    refreshChatFiles();
     
-    // Skip if character is not available (can happen during deletion)
-    if (!characters[this_chid] || this_chid === undefined) {
-        console.log('[Chat Branches] Character not found, skipping chat rename update');
+    // Skip if character/group is not available (can happen during deletion)
+    if (!chatFiles.hasOwner()) {
+        console.log('[Chat Branches] Character or group not found, skipping chat rename update');
         return;
     }
+
+    // Newer SillyTavern versions emit an object with the old and new file names
+    const newName = typeof renameData === 'object' && renameData !== null
+        ? String(renameData.newFileName).replace(/\.jsonl$/i, '')
+        : renameData;
     
     // Get UUID from chat_metadata or character metadata
-    const uuid = chat_metadata?.uuid || characters[this_chid]?.chat_metadata?.uuid;
+    const uuid = chat_metadata?.uuid || chatFiles.getCharacter()?.chat_metadata?.uuid;
     
     if (!uuid) {
         console.warn('[Chat Branches] No UUID found for renamed chat, cannot update stored data, ensure extension is enabled.');
@@ -435,22 +577,20 @@ eventSource.on(event_types.CHAT_RENAMED, async (newName) => {
 
     console.log('[Chat Branches] Updating stored data with new name:', newName, 'for UUID:', uuid);
     
-    await updateBranchInPlugin(uuid, {
+    await updateBranch(uuid, {
         chat_name: newName
     });
+    chatTreeView.renameBranch(uuid, newName);
 });
 
 // Also update on CHAT_CHANGED to catch any missed updates
 eventSource.on(event_types.CHAT_CHANGED, async () => {
-    // Skip group chats entirely - let SillyTavern handle them
-    if (selected_group) {
-        return;
-    }
-    
     if (!extension_settings[extensionName].enabled) return;
+
+    refreshChatFiles();
     
     // Skip checkpoint chats - they are bookmarks, not true branches
-    const currentChatName = characters[this_chid]?.chat;
+    const currentChatName = chatFiles.getCurrentChatName();
     if (isCheckpointChat(currentChatName)) {
         console.debug('[Chat Branches] Skipping checkpoint chat:', currentChatName);
         return;
@@ -460,83 +600,83 @@ eventSource.on(event_types.CHAT_CHANGED, async () => {
     // This can happen during character deletion
     if (!chat_metadata?.uuid) return;
     
-    // For character chats, check this_chid
-    if (!characters[this_chid] || this_chid === undefined) return;
+    // Check that a character or group is still selected
+    if (!chatFiles.hasOwner()) return;
     
     const uuid = chat_metadata.uuid;
     
     // Skip if no valid chat name (can happen during deletion or initialization)
     if (!currentChatName || currentChatName === 'Unknown') return;
     
-    // Update plugin with current name to ensure consistency
-    await updateBranchInPlugin(uuid, {
-        chat_name: currentChatName
+    // Update stored data with current name to ensure consistency,
+    // the message count also catches up with changes made while the extension was off
+    await updateBranch(uuid, {
+        chat_name: currentChatName,
+        message_count: chat.length
     });
 });
 
-// Hook chat deleted event to remove from plugin
-eventSource.on(event_types.CHAT_DELETED, async (chatName) => {
-    // Skip group chats entirely - let SillyTavern handle them
-    if (selected_group) {
-        return;
-    }
-    
-    if (!extension_settings[extensionName].enabled) return;
+/**
+ * Remove the branch record of a deleted chat file
+ * Its children are moved up to its parent instead of being dropped, since their files still exist
+ * @param {string} chatName - Name of the deleted chat
+ */
+async function handleChatDeleted(chatName) {
+    if (!extension_settings[extensionName].enabled || !storageReady) return;
+
+    refreshChatFiles();
     
-    console.log('[Chat Branches] CHAT_DELETED event fired for:', chatName);
+    console.log('[Chat Branches] Chat deletion event fired for:', chatName);
     
     // We need to find the UUID for this chat
     // Since the chat is already deleted, we can't get it from chat_metadata
-    // We'll need to query the plugin to find branches by chat_name
+    // We'll need to query the stored tree to find branches by chat_name
     
     // If character is being deleted, skip individual chat deletions
     // The CHARACTER_DELETED event will handle cleaning up all branches
-    if (!characters[this_chid] || this_chid === undefined) {
-        console.log('[Chat Branches] Character not found, skipping chat deletion (will be handled by CHARACTER_DELETED)');
+    if (!chatFiles.hasOwner()) {
+        console.log('[Chat Branches] Character or group not found, skipping chat deletion (will be handled by CHARACTER_DELETED)');
         return;
     }
     
-    const characterId = characters[this_chid]?.avatar;
-    if (!characterId) {
-        console.warn('[Chat Branches] No character ID found, cannot delete branch');
+    const ownerId = chatFiles.getOwnerId();
+    if (!ownerId) {
+        console.warn('[Chat Branches] No character or group ID found, cannot delete branch');
         return;
     }
+
+    const deletedName = String(chatName).replace(/\.jsonl$/i, '');
     
     try {
-        const response = await fetch(`${PLUGIN_BASE_URL}/tree/${characterId}`, {
-            headers: {
-                'X-CSRF-Token': token
-            }
-        });
-        
-        const data = await response.json();
-        if (!data.success) {
-            console.error('[Chat Branches] Failed to fetch tree for deletion:', data.error);
-            return;
-        }
+        const tree = await branchStorage.getTree(ownerId);
         
         // Find the branch with matching chat_name
-        const findAndDelete = (nodes) => {
+        const findNode = (nodes) => {
             for (const node of nodes) {
-                if (node.chat_name === chatName) {
-                    console.log('[Chat Branches] Found branch to delete:', node.uuid, node.chat_name);
-                    deleteBranchFromPlugin(node.uuid, true); // Cascade delete children
-                    return true;
+                if (node.chat_name === deletedName) {
+                    return node;
                 }
                 if (node.children && node.children.length > 0) {
-                    if (findAndDelete(node.children)) {
-                        return true;
-                    }
+                    const found = findNode(node.children);
+                    if (found) return found;
                 }
             }
-            return false;
+            return null;
         };
         
-        findAndDelete(data.tree);
+        const node = findNode(tree);
+        if (!node) return;
+
+        console.log('[Chat Branches] Found branch to delete:', node.uuid, node.chat_name);
+        await branchDeleteHandler.detachNode(node); // Reparent children to the grandparent
     } catch (error) {
         console.error('[Chat Branches] Error handling chat deletion:', error);
     }
-});
+}
+
+// Hook chat deleted events to remove from stored data
+eventSource.on(event_types.CHAT_DELETED, handleChatDeleted);
+eventSource.on(event_types.GROUP_CHAT_DELETED, handleChatDeleted);
 
 // Hook character deleted event to remove all branches for that character
 eventSource.on(event_types.CHARACTER_DELETED, async (data) => {
@@ -548,42 +688,153 @@ eventSource.on(event_types.CHARACTER_DELETED, async (data) => {
         return;
     }
     
+    if (!storageReady && !branchStorage.isPluginBackend()) return;
+    
     try {
-        const response = await fetch(`${PLUGIN_BASE_URL}/character/${characterId}`, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': token
-            }
-        });
-        
-        const result = await response.json();
-        if (!result.success) {
-            console.error('[Chat Branches] Failed to delete character data:', result.error);
-        } else {
-            console.log('[Chat Branches] Successfully deleted character data:', result.message);
-        }
+        await syncQueue.submit('deleteOwner', characterId);
+        console.log('[Chat Branches] Deleted character data:', characterId);
     } catch (error) {
         console.error('[Chat Branches] Error handling character deletion:', error);
     }
+
+    searchIndex.deleteOwner(characterId).catch(error => {
+        console.warn('[Chat Branches] Could not clear search index:', error);
+    });
 });
 
+// ============================================================================
+// Search Index
+// ============================================================================
+
+/**
+ * Update one message of the active chat in the search index
+ * @param {number} mesId - Message ID
+ */
+async function updateSearchIndexMessage(mesId) {
+    if (!extension_settings[extensionName].enabled || !chat_metadata.uuid) return;
+
+    const messageId = Number(mesId);
+    if (!Number.isInteger(messageId) || !chat[messageId]) return;
+
+    try {
+        await searchIndex.updateMessage(chat_metadata.uuid, messageId, chat[messageId]);
+    } catch (error) {
+        console.warn('[Chat Branches] Could not update search index:', error);
+    }
+}
+
+/**
+ * Re-index the whole active chat from memory (message ids shift after a deletion)
+ */
+async function reindexActiveChat() {
+    if (!extension_settings[extensionName].enabled || !chat_metadata.uuid) return;
+
+    refreshChatFiles();
+    try {
+        // Chats that were never indexed are picked up by the next search
+        if (!await searchIndex.hasChat(chat_metadata.uuid)) return;
+        await searchIndex.indexChat(chatFiles.getOwnerId(), chat_metadata.uuid, chatFiles.getCurrentChatName(), chat);
+    } catch (error) {
+        console.warn('[Chat Branches] Could not update search index:', error);
+    }
+}
+
+eventSource.on(event_types.MESSAGE_RECEIVED, updateSearchIndexMessage);
+eventSource.on(event_types.MESSAGE_SENT, updateSearchIndexMessage);
+eventSource.on(event_types.MESSAGE_UPDATED, updateSearchIndexMessage);
+eventSource.on(event_types.MESSAGE_EDITED, updateSearchIndexMessage);
+eventSource.on(event_types.MESSAGE_SWIPED, updateSearchIndexMessage);
+eventSource.on(event_types.MESSAGE_DELETED, reindexActiveChat);
+
+// ============================================================================
+// Branch Activity
+// ============================================================================
+
+const ACTIVITY_WRITE_DELAY = 5000; // ms, a sent message and its reply are stored in one write
+const pendingActivity = new Map(); // Branch UUID -> { updates, timer } not stored yet
+
+/**
+ * Store the message count and last activity of the active chat's branch
+ * The tree shows them at once, the storage write waits for more messages to the same branch.
+ * @param {boolean} isNewMessage - A message was added, which moves the last activity
+ */
+function recordBranchActivity(isNewMessage) {
+    if (!canWriteBranches() || !chat_metadata.uuid) return;
+    if (isCheckpointChat(chatFiles.getCurrentChatName())) return;
+
+    const uuid = chat_metadata.uuid;
+    const updates = { message_count: chat.length };
+    if (isNewMessage) updates.last_activity = Date.now();
+    chatTreeView.updateBranchActivity(uuid, updates);
+
+    const pending = pendingActivity.get(uuid) || { updates: {}, timer: null };
+    Object.assign(pending.updates, updates);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+        pendingActivity.delete(uuid);
+        updateBranch(uuid, pending.updates);
+    }, ACTIVITY_WRITE_DELAY);
+    pendingActivity.set(uuid, pending);
+}
+
+eventSource.on(event_types.MESSAGE_SENT, () => recordBranchActivity(true));
+eventSource.on(event_types.MESSAGE_RECEIVED, () => recordBranchActivity(true));
+eventSource.on(event_types.MESSAGE_DELETED, () => recordBranchActivity(false));
+
+// ============================================================================
+// In-Chat Branch Widgets
+// ============================================================================
+
+/**
+ * Reload the sibling navigator, child badges and breadcrumbs from a fresh tree
+ */
+async function refreshChatWidgets() {
+    treeCache.invalidate();
+
+    if (!extension_settings[extensionName].enabled || !storageReady) {
+        siblingNavigator.clear();
+        branchBadges.clear();
+        branchBreadcrumbs.clear();
+        return;
+    }
+
+    refreshChatFiles();
+    await Promise.all([
+        siblingNavigator.refresh(chat_metadata),
+        branchBadges.refresh(chat_metadata),
+        branchBreadcrumbs.refresh(chat_metadata)
+    ]);
+}
+
+/**
+ * Re-attach the widgets to re-rendered messages
+ */
+function renderChatWidgets() {
+    if (extension_settings[extensionName].enabled && storageReady) {
+        siblingNavigator.render();
+        branchBadges.render();
+    }
+}
+
+eventSource.on(event_types.CHAT_CHANGED, refreshChatWidgets);
+eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, renderChatWidgets);
+eventSource.on(event_types.USER_MESSAGE_RENDERED, renderChatWidgets);
+eventSource.on(event_types.MORE_MESSAGES_LOADED, renderChatWidgets);
+eventSource.on(event_types.MESSAGE_DELETED, renderChatWidgets);
+
 // ============================================================================
 // Branch Creation
 // ============================================================================
 
 async function createBranchWithUUID(mesId) {
-    // Skip group chats entirely - let SillyTavern handle them
-    if (selected_group) {
-        return null;
-    }
-    
     if (!chat.length || mesId < 0 || mesId >= chat.length) {
         toastr.warning('Invalid message ID.', 'Branch creation failed');
         return;
     }
 
-    const mainChat = characters[this_chid]?.chat;
+    refreshChatFiles();
+
+    const mainChat = chatFiles.getCurrentChatName();
     
     // Check if current chat is a checkpoint - don't allow branching from checkpoints
     if (isCheckpointChat(mainChat)) {
@@ -598,30 +849,52 @@ async function createBranchWithUUID(mesId) {
     // Generate new UUID for branch
     const newUUID = uuidv4();
 
+    const defaultName = await getDefaultBranchName(mesId, mainChat, currentUUID);
+    let details = { name: defaultName, note: null, tags: [] };
+    if (extension_settings[extensionName].branchCreateDialog) {
+        details = await branchCreateDialog.show(defaultName, mesId);
+        if (!details) return null;
+    }
+    const name = await getUniqueChatName(details.name);
+
     const newMetadata = {
         main_chat: mainChat,
         uuid: newUUID,
-        parent_uuid: currentUUID,
-        root_uuid: currentRootUUID || currentUUID
+        parent_uuid: currentUUID || null,
+        root_uuid: currentRootUUID || currentUUID || newUUID, // An untracked chat has no uuid, the branch starts a tree
+        branch_note: details.note || undefined, // The parent's note is not the branch's (ST merges the metadata)
+        branch_tags: details.tags.length ? details.tags : undefined,
+        branch_color: undefined,
+        branch_favorite: undefined,
+        branch_rating: undefined,
+        branch_canonical_child: undefined,
+        branch_untracked: undefined // Branches of an untracked chat are tracked
     };
 
-    const name = `Branch #${mesId} - ${humanizedDateTime()}`;
-    
-    // Save chat with ST
-    await saveChat({ chatName: name, withMetadata: newMetadata, mesId });
+    // Save chat with ST (group chats are saved through the group bookmark helper)
+    if (chatFiles.isGroup()) {
+        await saveGroupBookmarkChat(selected_group, name, newMetadata, mesId);
+    } else {
+        await saveChat({ chatName: name, withMetadata: newMetadata, mesId });
+    }
 
-    // Register branch with plugin
-    const characterId = characters[this_chid]?.avatar || null;
+    // Register branch with storage, keyed by character avatar or group id
+    const ownerId = chatFiles.getOwnerId();
 
-    await registerBranchWithPlugin({
+    const branchData = {
         uuid: newUUID,
-        parent_uuid: currentUUID,
-        root_uuid: currentRootUUID || currentUUID,
-        character_id: characterId,
+        parent_uuid: currentUUID || null,
+        root_uuid: currentRootUUID || currentUUID || newUUID,
+        character_id: ownerId,
         chat_name: String(name),
         branch_point: mesId,
+        message_count: mesId + 1, // Messages up to the branch point are copied
+        note: details.note,
+        tags: details.tags,
         created_at: Date.now()
-    });
+    };
+    await registerBranch(branchData);
+    chatTreeView.addBranch(branchData); // Docked tree shows it without refetching
 
     // Track branch in parent message
     if (typeof lastMes.extra !== 'object') lastMes.extra = {};
@@ -632,18 +905,80 @@ async function createBranchWithUUID(mesId) {
     return name;
 }
 
+/**
+ * Name for a new branch, from its content if content naming is on, else from
+ * the template in the settings panel
+ * @param {number} mesId - Branch point
+ * @param {string} parentName - Chat the branch is made from
+ * @param {string} parentUUID - UUID of that chat
+ * @returns {Promise<string>}
+ */
+async function getDefaultBranchName(mesId, parentName, parentUUID) {
+    const autoName = extension_settings[extensionName].branchAutoName;
+    if (autoName && autoName !== AUTO_NAME_MODES.OFF) {
+        // Suggestions follow the rename rules, one that cannot be a chat name falls back to the template
+        const suggestion = BranchNameSuggester.suggestForNewBranch(chat.slice(0, mesId + 1), autoName);
+        if (suggestion) return suggestion;
+    }
+
+    const template = extension_settings[extensionName].branchNameTemplate || DEFAULT_NAME_TEMPLATE;
+    const values = {
+        parent: parentName,
+        mesId,
+        date: humanizedDateTime(),
+        char: chatFiles.getOwnerName(),
+        depth: template.includes('{{depth}}') ? await getBranchDepth(parentUUID) + 1 : 0
+    };
+    return BranchCreateDialog.formatName(template, values) || BranchCreateDialog.formatName(DEFAULT_NAME_TEMPLATE, values);
+}
+
+/**
+ * Number of ancestors of a chat in the branch tree (roots are depth 0)
+ * @param {string} uuid - Chat UUID
+ * @returns {Promise<number>} 0 if the chat is not in the tree
+ */
+async function getBranchDepth(uuid) {
+    try {
+        const roots = await treeCache.getTree(chatFiles.getOwnerId());
+        const stack = roots.map(node => ({ node, depth: 0 }));
+        while (stack.length) {
+            const { node, depth } = stack.pop();
+            if (node.uuid === uuid) return depth;
+            (node.children || []).forEach(child => stack.push({ node: child, depth: depth + 1 }));
+        }
+    } catch (error) {
+        console.warn('[Chat Branches] Could not read branch depth:', error);
+    }
+    return 0;
+}
+
+/**
+ * Add a counter to a chat name already used by the owner, saving would overwrite that chat
+ * @param {string} name - Proposed chat name
+ * @returns {Promise<string>}
+ */
+async function getUniqueChatName(name) {
+    let existing;
+    try {
+        existing = new Set((await chatFiles.listChats()).map(item => String(item.file_name).replace(/\.jsonl$/, '')));
+    } catch (error) {
+        console.warn('[Chat Branches] Could not list chats to check the branch name:', error);
+        return name;
+    }
+
+    let uniqueName = name;
+    for (let counter = 2; existing.has(uniqueName); counter++) {
+        uniqueName = `${name} (${counter})`;
+    }
+    return uniqueName;
+}
+
 function hookBranchButton() {
     $(document).off('click', '.mes_create_branch');
     $(document).on('click', '.mes_create_branch', async function() {
         const mesId = $(this).closest('.mes').attr('mesid');
         if (mesId === undefined) return;
 
-        // Skip group chats entirely - let SillyTavern handle them
-        if (selected_group) {
-            const { branchChat } = await import('../../../bookmarks.js');
-            return branchChat(Number(mesId));
-        }
-
         if (!extension_settings[extensionName].enabled) {
             const { branchChat } = await import('../../../bookmarks.js');
             return branchChat(Number(mesId));
@@ -651,7 +986,7 @@ function hookBranchButton() {
 
         const result = await createBranchWithUUID(Number(mesId));
         if (result) {
-            await openCharacterChat(result);
+            await chatFiles.openChat(result);
         }
     });
 }
@@ -668,12 +1003,19 @@ const chatTreeView = new ChatTreeView({
     this_chid,
     token,
     openCharacterChat,
+    chatFiles,
     extensionName,
-    pluginBaseUrl: PLUGIN_BASE_URL,
+    storage: branchStorage,
+    syncQueue,
+    searchIndex,
     selected_group,
     chat,
     saveChat,
-    chat_metadata  // Add chat_metadata as a dependency
+    chat_metadata,  // Add chat_metadata as a dependency
+    timestampToMoment,
+    settings: extension_settings[extensionName],
+    saveSettings: saveSettingsDebounced,
+    onHide: refreshChatWidgets // Branches may have been renamed, moved or deleted
 });
 
 // Create migrator instance with dependencies - disabled for now
@@ -696,9 +1038,10 @@ const storageRebuilder = new StorageRebuilder({
     token,
     extensionName,
     uuidv4,
-    registerBranchWithPlugin,
-    pluginBaseUrl: PLUGIN_BASE_URL,
-    selected_group
+    registerBranch,
+    storage: branchStorage,
+    selected_group,
+    chatFiles
 });
 
 function addTreeViewButton() {
@@ -767,9 +1110,9 @@ function restoreMessageTreeViewButtons() {
 
 function hookMessageTreeViewButton() {
     $(document).on('click', '.mes_chat_tree_view', async function() {
-        // Check if plugin is running before showing tree view
-        if (!pluginRunning) {
-            toastr.error('Chat Branches plugin is not installed or not running.', 'Plugin Error');
+        // Check if storage is available before showing tree view
+        if (!storageReady) {
+            toastr.error(getStorageUnavailableMessage(), 'Storage Error');
             return;
         }
         
@@ -778,8 +1121,8 @@ function hookMessageTreeViewButton() {
             characters,
             this_chid,
             token,
-            pluginBaseUrl: PLUGIN_BASE_URL,
             selected_group,
+            groups,
             chat_metadata  // Pass the global chat_metadata
         });
         
@@ -789,19 +1132,19 @@ function hookMessageTreeViewButton() {
 
 function hookOptionsMenu() {
     $(document).on('click', '#options_button', function() {
-        if (extension_settings[extensionName].enabled && pluginRunning) {
+        if (extension_settings[extensionName].enabled && storageReady) {
             setTimeout(() => addTreeViewButton(), 100);
         }
     });
 
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    if (extension_settings[extensionName].enabled && storageReady) {
         setTimeout(() => addTreeViewButton(), 1000);
     }
 }
 
 // Hook message events to add tree view button
 eventSource.on(event_types.CHAT_CHANGED, function() {
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    if (extension_settings[extensionName].enabled && storageReady) {
         addMessageTreeViewButton();
         
         // Update ChatTreeView dependencies to keep current chat UUID synced
@@ -810,24 +1153,26 @@ eventSource.on(event_types.CHAT_CHANGED, function() {
             characters,
             this_chid,
             token,
-            pluginBaseUrl: PLUGIN_BASE_URL,
             selected_group,
+            groups,
             chat_metadata  // Pass the global chat_metadata
         });
+        chatTreeView.handleChatChanged();
     }
 });
 eventSource.on(event_types.MESSAGE_RECEIVED, function() {
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    if (extension_settings[extensionName].enabled && storageReady) {
         addMessageTreeViewButton();
+        chatTreeView.handleMessageReceived();
     }
 });
 eventSource.on(event_types.MESSAGE_SENT, function() {
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    if (extension_settings[extensionName].enabled && storageReady) {
         addMessageTreeViewButton();
     }
 });
 eventSource.on(event_types.MESSAGE_UPDATED, function() {
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    if (extension_settings[extensionName].enabled && storageReady) {
         addMessageTreeViewButton();
     }
 });
@@ -837,21 +1182,23 @@ eventSource.on(event_types.MESSAGE_UPDATED, function() {
 // ============================================================================
 
 jQuery(async function() {
-    await checkPluginStatus();
+    await checkStorageStatus();
     await loadSettingsPanel();
+    syncQueue.start();
     await ensureChatUUID();
+    await refreshChatWidgets();
     hookOptionsMenu();
     hookMessageTreeViewButton();
 
-    // Only add buttons if extension is enabled and plugin is running
-    if (extension_settings[extensionName].enabled && pluginRunning) {
+    // Only add buttons if extension is enabled and storage is available
+    if (extension_settings[extensionName].enabled && storageReady) {
         setTimeout(addMessageTreeViewButton, 1000);
     }
 
     $(document).on('click', '#option_chat_tree_view', function() {
-        // Check if plugin is running before showing tree view
-        if (!pluginRunning) {
-            toastr.error('Chat Branches plugin is not installed or not running.', 'Plugin Error');
+        // Check if storage is available before showing tree view
+        if (!storageReady) {
+            toastr.error(getStorageUnavailableMessage(), 'Storage Error');
             $('#options').hide();
             $('#options_button').removeClass('active');
             return;
@@ -865,8 +1212,8 @@ jQuery(async function() {
             characters,
             this_chid,
             token,
-            pluginBaseUrl: PLUGIN_BASE_URL,
             selected_group,
+            groups,
             chat_metadata  // Pass the global chat_metadata
         });
         
@@ -897,13 +1244,23 @@ jQuery(async function() {
             characters,
             this_chid,
             token,
-            pluginBaseUrl: PLUGIN_BASE_URL,
-            selected_group
+            selected_group,
+            groups
         });
 
         storageRebuilder.showRebuildDialog();
     });
 
+    // Bind sync now button click
+    $(document).on('click', '#chat_branches_sync_now', async function() {
+        const synced = await syncQueue.flush();
+        if (synced) {
+            toastr.success('All pending changes were synced.', 'Chat Branches');
+        } else {
+            toastr.warning(`${syncQueue.getPendingCount()} operations still pending. Is the plugin running?`, 'Chat Branches');
+        }
+    });
+
     // Bind install plugin button click
     $(document).on('click', '#chat_branches_install_plugin', async function() {
         await askInstallPlugin();
@@ -0,0 +1,143 @@
+/**
+ * BranchBadges - Child branch counts on the branch point messages of the active chat
+ * Children are resolved from the stored tree (parent_uuid + branch_point), so
+ * renamed branches show their current names. Clicking a badge lists the
+ * children with their last activity.
+ */
+
+import { BranchTreeCache } from './BranchTreeCache.js';
+import { BranchPopover } from './BranchPopover.js';
+
+export class BranchBadges {
+    constructor(dependencies) {
+        this.treeCache = dependencies.treeCache;
+        this.chatFiles = dependencies.chatFiles;
+        this.timestampToMoment = dependencies.timestampToMoment;
+
+        this.childrenByMessage = new Map(); // Branch point message id -> child branch records
+        this.refreshId = 0; // Ignores refreshes that finish after a newer one started
+        this.popover = new BranchPopover();
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.treeCache !== undefined) this.treeCache = dependencies.treeCache;
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+    }
+
+    /**
+     * Load the children of the active chat and show the badges
+     * @param {Object} chatMetadata - Metadata of the active chat
+     */
+    async refresh(chatMetadata) {
+        const refreshId = ++this.refreshId;
+        this.clear();
+
+        const uuid = chatMetadata?.uuid;
+        const ownerId = this.chatFiles.getOwnerId();
+        if (!uuid || !ownerId) return;
+
+        try {
+            const tree = await this.treeCache.getTree(ownerId);
+            if (refreshId !== this.refreshId) return;
+
+            const node = BranchTreeCache.findNode(tree, uuid);
+            for (const child of node?.children || []) {
+                if (child.branch_point === null || child.branch_point === undefined) continue;
+
+                const messageId = Number(child.branch_point);
+                if (!this.childrenByMessage.has(messageId)) this.childrenByMessage.set(messageId, []);
+                this.childrenByMessage.get(messageId).push(child);
+            }
+            this.render();
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load child branches:', error);
+        }
+    }
+
+    /**
+     * Forget the children and remove the badges
+     */
+    clear() {
+        this.childrenByMessage.clear();
+        this.popover.hide();
+        $('.chat-branches-badge').remove();
+    }
+
+    /**
+     * (Re)attach the badges, call after messages are rendered
+     */
+    render() {
+        $('.chat-branches-badge').remove();
+
+        for (const [messageId, children] of this.childrenByMessage) {
+            const $message = $(`#chat .mes[mesid="${messageId}"]`);
+            if (!$message.length) continue; // Not loaded yet, MORE_MESSAGES_LOADED renders again
+
+            const $badge = $(`
+                <div class="chat-branches-badge" title="${children.length} branch(es) made from this message">
+                    <i class="fa-solid fa-code-branch"></i>
+                    <span>${children.length}</span>
+                </div>
+            `);
+            $badge.on('click', (e) => {
+                e.stopPropagation();
+                this.showPopover($badge, messageId);
+            });
+
+            // Next to the sender name and timestamp
+            const $nameRow = $message.find('.ch_name .name_text').first().parent();
+            ($nameRow.length ? $nameRow : $message.find('.mes_block')).append($badge);
+        }
+    }
+
+    /**
+     * List the children of a message below its badge
+     * @param {JQuery} $badge - Clicked badge
+     * @param {number} messageId - Branch point message id
+     */
+    async showPopover($badge, messageId) {
+        const children = this.childrenByMessage.get(messageId) || [];
+        const $popover = this.popover.open($badge[0], `Branches from message #${messageId}`);
+
+        const lastActivity = await this.getLastActivity();
+        this.popover.setItems($popover, children.map(child => {
+            const lastMes = lastActivity.get(String(child.chat_name));
+            return {
+                label: child.chat_name,
+                detail: lastMes ? this.timestampToMoment(lastMes).format('lll') : 'No activity recorded',
+                onClick: () => this.openBranch(child.chat_name)
+            };
+        }));
+    }
+
+    /**
+     * Last message time of every chat of the active owner
+     * @returns {Promise<Map<string, number|string>>} Chat name -> last_mes
+     */
+    async getLastActivity() {
+        try {
+            const chats = await this.chatFiles.listChats();
+            return new Map(chats.map(chat => [String(chat.file_name).replace(/\.jsonl$/, ''), chat.last_mes]));
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load chat list:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * Open a child branch from the popover
+     * @param {string} chatName - Chat name
+     */
+    async openBranch(chatName) {
+        try {
+            await this.chatFiles.openChat(chatName);
+        } catch (error) {
+            console.error('[Chat Branches] Could not open branch:', error);
+            toastr.error('Failed to open branch');
+        }
+    }
+}
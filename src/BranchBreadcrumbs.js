@@ -0,0 +1,209 @@
+/**
+ * BranchBreadcrumbs - Path from the root chat to the active branch, above the chat
+ * Every crumb opens its chat, the caret next to it lists its other children.
+ * Long paths keep the root and the last crumbs, the middle folds into "…".
+ */
+
+import { BranchPopover } from './BranchPopover.js';
+
+const MAX_VISIBLE_CRUMBS = 5;
+const TAIL_CRUMBS = 3; // Crumbs kept at the end of a folded path
+
+/**
+ * Find the path from a root to a node in a stored tree
+ * @param {Array} roots - Tree from storage.getTree()
+ * @param {string} uuid - Branch UUID
+ * @returns {Array|null} Stored tree nodes from the root to the node
+ */
+function findPath(roots, uuid) {
+    const parents = new Map();
+    const stack = [...roots];
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.uuid === uuid) {
+            const path = [node];
+            for (let parent = parents.get(node); parent; parent = parents.get(parent)) {
+                path.unshift(parent);
+            }
+            return path;
+        }
+        for (const child of node.children || []) {
+            parents.set(child, node);
+            stack.push(child);
+        }
+    }
+    return null;
+}
+
+export class BranchBreadcrumbs {
+    constructor(dependencies) {
+        this.treeCache = dependencies.treeCache;
+        this.chatFiles = dependencies.chatFiles;
+        this.settings = dependencies.settings; // Extension settings, holds breadcrumbsCollapsed
+        this.saveSettings = dependencies.saveSettings;
+
+        this.path = []; // Stored tree nodes from the root to the active chat
+        this.refreshId = 0; // Ignores refreshes that finish after a newer one started
+        this.popover = new BranchPopover();
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.treeCache !== undefined) this.treeCache = dependencies.treeCache;
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+        if (dependencies.settings !== undefined) this.settings = dependencies.settings;
+    }
+
+    /**
+     * Load the path of the active chat and show the bar
+     * @param {Object} chatMetadata - Metadata of the active chat
+     */
+    async refresh(chatMetadata) {
+        const refreshId = ++this.refreshId;
+        this.clear();
+
+        const uuid = chatMetadata?.uuid;
+        const ownerId = this.chatFiles.getOwnerId();
+        if (!uuid || !ownerId) return;
+
+        try {
+            const tree = await this.treeCache.getTree(ownerId);
+            if (refreshId !== this.refreshId) return;
+
+            const path = findPath(tree, uuid);
+            // A chat without parent or children has nothing to navigate
+            if (!path || (path.length === 1 && !path[0].children?.length)) return;
+
+            this.path = path;
+            this.render();
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load branch path:', error);
+        }
+    }
+
+    /**
+     * Forget the path and remove the bar
+     */
+    clear() {
+        this.path = [];
+        this.popover.hide();
+        $('#chat_branches_breadcrumbs').remove();
+    }
+
+    render() {
+        $('#chat_branches_breadcrumbs').remove();
+        if (this.path.length === 0) return;
+
+        const collapsed = !!this.settings.breadcrumbsCollapsed;
+        const $bar = $(`
+            <div id="chat_branches_breadcrumbs" class="chat-branches-breadcrumbs ${collapsed ? 'collapsed' : ''}">
+                <div class="chat-branches-breadcrumbs-toggle fa-solid fa-code-branch" title="Show or hide the branch path"></div>
+                <div class="chat-branches-breadcrumbs-path"></div>
+            </div>
+        `);
+        const $path = $bar.find('.chat-branches-breadcrumbs-path');
+
+        // Fold the middle of long paths
+        const indices = this.path.map((_, index) => index);
+        const visible = indices.length > MAX_VISIBLE_CRUMBS
+            ? [0, null, ...indices.slice(-TAIL_CRUMBS)]
+            : indices;
+
+        visible.forEach((index, position) => {
+            if (position > 0) {
+                $path.append('<i class="chat-branches-crumb-sep fa-solid fa-chevron-right"></i>');
+            }
+            $path.append(index === null ? this.buildFoldedCrumb() : this.buildCrumb(index));
+        });
+
+        $bar.find('.chat-branches-breadcrumbs-toggle').on('click', () => {
+            this.settings.breadcrumbsCollapsed = !this.settings.breadcrumbsCollapsed;
+            this.saveSettings();
+            $bar.toggleClass('collapsed', !!this.settings.breadcrumbsCollapsed);
+        });
+
+        $('#chat').before($bar);
+    }
+
+    /**
+     * Build one crumb
+     * @param {number} index - Position in the path
+     * @returns {JQuery}
+     */
+    buildCrumb(index) {
+        const node = this.path[index];
+        const isCurrent = index === this.path.length - 1;
+        const next = this.path[index + 1];
+        const otherChildren = (node.children || []).filter(child => child !== next);
+
+        const $crumb = $(`
+            <span class="chat-branches-crumb ${isCurrent ? 'current' : ''}">
+                <span class="chat-branches-crumb-name"></span>
+            </span>
+        `);
+        $crumb.find('.chat-branches-crumb-name')
+            .text(node.chat_name)
+            .attr('title', isCurrent ? `${node.chat_name} (current chat)` : `Open ${node.chat_name}`);
+
+        if (!isCurrent) {
+            $crumb.find('.chat-branches-crumb-name').on('click', () => this.openBranch(node.chat_name));
+        }
+
+        if (otherChildren.length > 0) {
+            const $caret = $(`<i class="chat-branches-crumb-menu fa-solid fa-caret-down" title="${otherChildren.length} other branch(es)"></i>`);
+            $caret.on('click', (e) => {
+                e.stopPropagation();
+                const title = isCurrent ? 'Branches of this chat' : 'Other branches';
+                this.showBranchList($caret[0], title, otherChildren);
+            });
+            $crumb.append($caret);
+        }
+
+        return $crumb;
+    }
+
+    /**
+     * Build the "…" crumb that lists the folded part of the path
+     * @returns {JQuery}
+     */
+    buildFoldedCrumb() {
+        const hidden = this.path.slice(1, -TAIL_CRUMBS);
+        const $crumb = $(`<span class="chat-branches-crumb folded" title="${hidden.length} more">…</span>`);
+        $crumb.on('click', (e) => {
+            e.stopPropagation();
+            this.showBranchList($crumb[0], 'Path', hidden);
+        });
+        return $crumb;
+    }
+
+    /**
+     * List branches in a popover below a crumb
+     * @param {HTMLElement} anchor - Clicked element
+     * @param {string} title - Popover title
+     * @param {Array} nodes - Stored tree nodes to list
+     */
+    showBranchList(anchor, title, nodes) {
+        const $popover = this.popover.open(anchor, title);
+        this.popover.setItems($popover, nodes.map(node => ({
+            label: node.chat_name,
+            detail: node.children?.length ? `${node.children.length} branch(es)` : '',
+            onClick: () => this.openBranch(node.chat_name)
+        })));
+    }
+
+    /**
+     * Open a chat from the bar
+     * @param {string} chatName - Chat name
+     */
+    async openBranch(chatName) {
+        try {
+            await this.chatFiles.openChat(chatName);
+        } catch (error) {
+            console.error('[Chat Branches] Could not open branch:', error);
+            toastr.error('Failed to open branch');
+        }
+    }
+}
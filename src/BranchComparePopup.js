@@ -0,0 +1,397 @@
+/**
+ * BranchComparePopup - Compares two branches side by side
+ * Finds where the branches diverge, collapses the shared messages and shows
+ * the divergent messages of both branches in parallel columns, with a
+ * word-level diff for messages that are still similar.
+ */
+
+import { MessageViewerPopup } from './MessageViewerPopup.js';
+
+// Messages above this many tokens are shown without a word diff (LCS is O(n*m))
+const MAX_DIFF_TOKENS = 1500;
+// Share of words two messages need in common to be diffed instead of shown as-is
+const SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Split text into words and the whitespace between them
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return String(text || '').split(/(\s+)/).filter(token => token.length > 0);
+}
+
+/**
+ * Word-level diff of two texts based on the longest common subsequence
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{ops: Array<{type: 'same'|'removed'|'added', text: string}>, similarity: number}|null}
+ *          Null if the texts are too long to diff
+ */
+function diffWords(oldText, newText) {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+    if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) return null;
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    const wordCount = (tokens) => tokens.filter(token => token.trim()).length;
+    const sharedWords = ops.filter(op => op.type === 'same').reduce((sum, op) => sum + wordCount(tokenize(op.text)), 0);
+    const totalWords = Math.max(wordCount(a), wordCount(b), 1);
+
+    return { ops, similarity: sharedWords / totalWords };
+}
+
+export class BranchComparePopup {
+    constructor(dependencies) {
+        this.deps = dependencies;
+
+        // State
+        this.state = {
+            left: null,   // { uuid, name, messages }
+            right: null,
+            ancestorName: null,
+            sharedCount: 0,
+            isDestroyed: false
+        };
+
+        // DOM Elements
+        this.$overlay = null;
+
+        // Bindings
+        this._handleGlobalEvents = this._handleGlobalEvents.bind(this);
+    }
+
+    // =================================================================================
+    // Public API
+    // =================================================================================
+
+    updateDependencies(newDeps) {
+        if (this.state.isDestroyed) return;
+        this.deps = { ...this.deps, ...newDeps };
+    }
+
+    /**
+     * Compare two branches
+     * @param {{uuid: string, name: string}} left - First branch
+     * @param {{uuid: string, name: string}} right - Second branch
+     * @param {Object} [options]
+     * @param {string} [options.ancestorName] - Name of the closest common ancestor in the tree
+     */
+    async show(left, right, options = {}) {
+        if (this.state.isDestroyed || !left?.uuid || !right?.uuid) return;
+
+        this.state.left = { uuid: left.uuid, name: left.name, messages: [] };
+        this.state.right = { uuid: right.uuid, name: right.name, messages: [] };
+        this.state.ancestorName = options.ancestorName || null;
+        this.state.sharedCount = 0;
+
+        try {
+            this._ensureDom();
+            this._bindEvents();
+            await this._loadBranches();
+        } catch (error) {
+            console.error('[Chat Branches][Compare] Show error:', error);
+            this._renderError(error.message);
+        }
+    }
+
+    hide() {
+        this._unbindEvents();
+        if (this.$overlay) {
+            this.$overlay.removeClass('visible');
+            setTimeout(() => {
+                this.$overlay?.remove();
+                this.$overlay = null;
+            });
+        }
+        // Clear message data to free memory
+        this.state.left = null;
+        this.state.right = null;
+    }
+
+    destroy() {
+        this.state.isDestroyed = true;
+        this.hide();
+        this.deps = null;
+    }
+
+    // =================================================================================
+    // Data Loading & Processing
+    // =================================================================================
+
+    async _loadBranches() {
+        // Hidden (or destroyed) since the load was requested
+        if (this.state.isDestroyed || !this.$overlay || !this.state.left || !this.state.right) return;
+
+        const { left, right } = this.state;
+        const isCurrent = () => this.state.left === left && this.state.right === right;
+        this._renderLoading();
+
+        try {
+            if (!this.deps.chatFiles.hasOwner()) throw new Error('Character or group not loaded');
+
+            const [leftMessages, rightMessages] = await Promise.all([
+                this._fetchMessages(left.name),
+                this._fetchMessages(right.name)
+            ]);
+            if (!isCurrent()) return;
+            left.messages = leftMessages;
+            right.messages = rightMessages;
+            this.state.sharedCount = BranchComparePopup.countSharedPrefix(leftMessages, rightMessages);
+
+            this._renderComparison();
+        } catch (error) {
+            if (!isCurrent()) return;
+            console.error('[Chat Branches][Compare] Load failed:', error);
+            this._renderError(error.message);
+        }
+    }
+
+    async _fetchMessages(chatName) {
+        const data = await this.deps.chatFiles.getChat(chatName);
+        return data
+            .filter(entry => entry && entry.mes !== undefined)
+            .map(entry => ({
+                sender: entry.name || 'Unknown',
+                content: String(entry.mes || ''),
+                timestamp: MessageViewerPopup.formatTimestamp(entry.send_date),
+                isUser: !!entry.is_user,
+                isSystem: !!entry.is_system
+            }));
+    }
+
+    /**
+     * Number of leading messages both branches have in common
+     * @param {Array} left - Messages of the first branch
+     * @param {Array} right - Messages of the second branch
+     * @returns {number}
+     */
+    static countSharedPrefix(left, right) {
+        const limit = Math.min(left.length, right.length);
+        let count = 0;
+        while (count < limit
+            && left[count].content === right[count].content
+            && left[count].sender === right[count].sender
+            && left[count].isUser === right[count].isUser) {
+            count++;
+        }
+        return count;
+    }
+
+    // =================================================================================
+    // Rendering & UI
+    // =================================================================================
+
+    _ensureDom() {
+        $('#branch_compare_overlay').remove();
+
+        // Inject Styles if not exists (message cards reuse the message viewer styles)
+        const cssDir = `/scripts/extensions/third-party/${this.deps.extensionName}/src/css`;
+        if (!$('#message-viewer-styles').length) {
+            $('head').append(`<link id="message-viewer-styles" rel="stylesheet" href="${cssDir}/message-viewer-popup.css">`);
+        }
+        if (!$('#branch-compare-styles').length) {
+            $('head').append(`<link id="branch-compare-styles" rel="stylesheet" href="${cssDir}/branch-compare-popup.css">`);
+        }
+
+        const escape = MessageViewerPopup.escapeHtml;
+        const html = `
+            <div id="branch_compare_overlay" class="branch-compare-overlay">
+                <div class="branch-compare-popup">
+                    <div class="branch-compare-header">
+                        <h3><i class="fa-solid fa-code-compare"></i>
+                            <span>${escape(this.state.left.name)}</span>
+                            <i class="fa-solid fa-arrows-left-right"></i>
+                            <span>${escape(this.state.right.name)}</span>
+                        </h3>
+                        <button id="branch_compare_close" class="message-viewer-btn"><i class="fa-solid fa-times"></i></button>
+                    </div>
+                    <div id="branch_compare_content" class="branch-compare-content"></div>
+                </div>
+            </div>`;
+
+        $('body').append(html);
+        this.$overlay = $('#branch_compare_overlay');
+        setTimeout(() => this.$overlay.addClass('visible'), 10);
+    }
+
+    _renderLoading() {
+        $('#branch_compare_content').html(`
+            <div class="message-viewer-loading">
+                <i class="fa-solid fa-spinner fa-spin"></i> <div>Loading branches...</div>
+            </div>`);
+    }
+
+    _renderError(msg) {
+        $('#branch_compare_content').html(`
+            <div class="message-viewer-error">
+                <i class="fa-solid fa-exclamation-triangle"></i>
+                <div>${MessageViewerPopup.escapeHtml(msg)}</div>
+                <button id="branch_compare_retry" class="message-viewer-btn">Retry</button>
+            </div>`);
+        $('#branch_compare_retry').on('click', () => this._loadBranches());
+    }
+
+    _renderComparison() {
+        const { left, right, sharedCount, ancestorName } = this.state;
+        const escape = MessageViewerPopup.escapeHtml;
+
+        const ancestorHtml = ancestorName
+            ? `Common ancestor: <strong>${escape(ancestorName)}</strong> · `
+            : '';
+        const branchPointHtml = sharedCount > 0
+            ? `Branches split after message #${sharedCount - 1}`
+            : 'Branches differ from the first message';
+
+        const sharedHtml = sharedCount > 0 ? `
+            <details class="branch-compare-shared">
+                <summary>${sharedCount} shared message(s)</summary>
+                <div class="branch-compare-shared-list"></div>
+            </details>` : '';
+
+        const rowCount = Math.max(left.messages.length, right.messages.length) - sharedCount;
+        const rows = [];
+        for (let i = sharedCount; i < sharedCount + rowCount; i++) {
+            rows.push(this._buildRowHtml(i, left.messages[i], right.messages[i]));
+        }
+
+        const divergentHtml = rowCount > 0 ? `
+            <div class="branch-compare-columns">
+                <div class="branch-compare-column-title">${escape(left.name)} (${left.messages.length - sharedCount} more)</div>
+                <div class="branch-compare-column-title">${escape(right.name)} (${right.messages.length - sharedCount} more)</div>
+                ${rows.join('')}
+            </div>` : '<div class="message-viewer-empty"><i class="fa-solid fa-equals"></i> Both branches contain the same messages</div>';
+
+        $('#branch_compare_content').html(`
+            <div class="branch-compare-summary">${ancestorHtml}${branchPointHtml}</div>
+            ${sharedHtml}
+            ${divergentHtml}
+        `);
+    }
+
+    _buildRowHtml(index, leftMsg, rightMsg) {
+        let leftContent = leftMsg ? MessageViewerPopup.escapeHtml(leftMsg.content) : null;
+        let rightContent = rightMsg ? MessageViewerPopup.escapeHtml(rightMsg.content) : null;
+
+        if (leftMsg && rightMsg && leftMsg.isUser === rightMsg.isUser) {
+            const diff = diffWords(leftMsg.content, rightMsg.content);
+            if (diff && diff.similarity >= SIMILARITY_THRESHOLD) {
+                leftContent = this._buildDiffHtml(diff.ops, 'removed');
+                rightContent = this._buildDiffHtml(diff.ops, 'added');
+            }
+        }
+
+        return `
+            ${this._buildCellHtml(index, leftMsg, leftContent)}
+            ${this._buildCellHtml(index, rightMsg, rightContent)}`;
+    }
+
+    /**
+     * Render one side of a word diff
+     * @param {Array} ops - Diff operations
+     * @param {'removed'|'added'} side - Which changes belong to this side
+     * @returns {string} HTML
+     */
+    _buildDiffHtml(ops, side) {
+        return ops
+            .filter(op => op.type === 'same' || op.type === side)
+            .map(op => {
+                const text = MessageViewerPopup.escapeHtml(op.text);
+                return op.type === 'same' ? text : `<span class="branch-compare-${side}">${text}</span>`;
+            })
+            .join('');
+    }
+
+    _buildCellHtml(index, msg, contentHtml) {
+        if (!msg) {
+            return '<div class="branch-compare-cell empty"></div>';
+        }
+
+        const typeClass = msg.isUser ? 'user-message' : (msg.isSystem ? 'system-message' : 'assistant-message');
+        return `
+            <div class="branch-compare-cell message-viewer-item ${typeClass}">
+                <div class="message-header">
+                    <span class="message-sender">#${index} ${MessageViewerPopup.escapeHtml(msg.sender)}</span>
+                    <span class="message-timestamp">${msg.timestamp}</span>
+                </div>
+                <div class="message-content">${contentHtml}</div>
+            </div>`;
+    }
+
+    _renderSharedMessages() {
+        const $list = $('#branch_compare_content .branch-compare-shared-list');
+        if ($list.children().length) return;
+
+        const html = this.state.left.messages
+            .slice(0, this.state.sharedCount)
+            .map((msg, index) => this._buildCellHtml(index, msg, MessageViewerPopup.escapeHtml(msg.content)))
+            .join('');
+        $list.html(html);
+    }
+
+    // =================================================================================
+    // Event Handling
+    // =================================================================================
+
+    _bindEvents() {
+        $('#branch_compare_close').on('click', () => this.hide());
+
+        // Shared messages are only rendered when first expanded, chats can be long.
+        // 'toggle' does not bubble, so listen in the capture phase
+        $('#branch_compare_content')[0].addEventListener('toggle', () => this._renderSharedMessages(), true);
+
+        $(document).on('keydown.bcp', this._handleGlobalEvents);
+
+        // DELAYED BINDING: Wait 100ms so the click that opened this doesn't close it
+        setTimeout(() => {
+            if (!this.state.isDestroyed && this.$overlay) {
+                $(document).on('click.bcp', this._handleGlobalEvents);
+            }
+        }, 100);
+    }
+
+    _unbindEvents() {
+        $('#branch_compare_close, #branch_compare_content, #branch_compare_retry').off();
+        $(document).off('.bcp');
+    }
+
+    _handleGlobalEvents(e) {
+        if (e.type === 'keydown' && e.key === 'Escape') this.hide();
+        if (e.type === 'click' && !$(e.target).closest('.branch-compare-popup, #chat_tree_modal').length) this.hide();
+    }
+}
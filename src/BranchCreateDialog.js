@@ -0,0 +1,102 @@
+/**
+ * BranchCreateDialog - Names a new branch before it is saved
+ * Default names come from the template in the settings panel, filled with
+ * {{parent}}, {{mesId}}, {{date}}, {{char}} and {{depth}}. The optional dialog
+ * lets the user change the name and add a note and tags first.
+ */
+
+import { ChatRenameHandler, INVALID_NAME_CHARS, MAX_NAME_LENGTH } from './ChatRenameHandler.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../../../scripts/popup.js';
+
+export const DEFAULT_NAME_TEMPLATE = 'Branch #{{mesId}} - {{date}}';
+export const NAME_PLACEHOLDERS = ['parent', 'mesId', 'date', 'char', 'depth'];
+export const MAX_TAG_LENGTH = 30; // Also used by the tree's tag and note editors
+export const MAX_NOTE_LENGTH = 2000;
+
+const NAME_COUNTER_ROOM = 10; // Left for the " (2)" added when a name is taken
+
+export class BranchCreateDialog {
+    /**
+     * Fill a name template, unknown placeholders are kept as typed
+     * @param {string} template - Template text
+     * @param {Object} values - Placeholder values by name (parent, mesId, date, char, depth)
+     * @returns {string} Chat name safe for a file, empty if nothing is left
+     */
+    static formatName(template, values) {
+        const name = String(template || '').replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+            Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? '') : placeholder);
+        return BranchCreateDialog.sanitizeName(name);
+    }
+
+    /**
+     * Replace characters chat files cannot have and collapse whitespace
+     * @param {string} name - Proposed chat name
+     * @returns {string}
+     */
+    static sanitizeName(name) {
+        return String(name || '')
+            .replace(new RegExp(INVALID_NAME_CHARS.source, 'g'), '-')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .substring(0, MAX_NAME_LENGTH - NAME_COUNTER_ROOM)
+            .trim();
+    }
+
+    /**
+     * Split comma-separated tags, trimmed and without duplicates (case-insensitive)
+     * @param {string} text - Tags as typed
+     * @returns {string[]}
+     */
+    static parseTags(text) {
+        const tags = [];
+        for (const item of String(text || '').split(',')) {
+            const tag = item.trim().substring(0, MAX_TAG_LENGTH);
+            if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+        }
+        return tags;
+    }
+
+    /**
+     * Ask for the name, note and tags of a new branch
+     * @param {string} defaultName - Name from the template
+     * @param {number} mesId - Branch point, for the title
+     * @returns {Promise<{name: string, note: string|null, tags: string[]}|null>} Null if cancelled
+     */
+    async show(defaultName, mesId) {
+        const content = $(`
+            <div class="chat-branches-create-dialog">
+                <h3>New branch from message #${mesId}</h3>
+                <label for="chat_branches_create_name">Name</label>
+                <input type="text" id="chat_branches_create_name" class="text_pole" autocomplete="off" spellcheck="false">
+                <label for="chat_branches_create_note">Note</label>
+                <textarea id="chat_branches_create_note" class="text_pole" rows="3" maxlength="${MAX_NOTE_LENGTH}" placeholder="What happens in this branch?"></textarea>
+                <label for="chat_branches_create_tags">Tags</label>
+                <input type="text" id="chat_branches_create_tags" class="text_pole" placeholder="canon, what-if, abandoned" autocomplete="off" spellcheck="false">
+                <small>Separate tags with commas. The default name comes from the name settings of the extension.</small>
+            </div>
+        `);
+        const $name = content.find('#chat_branches_create_name').val(defaultName).attr('placeholder', defaultName);
+
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Create',
+            cancelButton: 'Cancel'
+        });
+        setTimeout(() => $name.trigger('select'));
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+
+        // Same rules as renaming a chat, a name that breaks them falls back to the default
+        let name = BranchCreateDialog.sanitizeName($name.val()) || defaultName;
+        const check = ChatRenameHandler.checkName(name);
+        if (!check.valid) {
+            toastr.warning(`${check.error}, using "${defaultName}" instead`, 'Chat Branches');
+            name = defaultName;
+        }
+
+        return {
+            name,
+            note: String(content.find('#chat_branches_create_note').val()).trim().substring(0, MAX_NOTE_LENGTH) || null,
+            tags: BranchCreateDialog.parseTags(content.find('#chat_branches_create_tags').val())
+        };
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * BranchDeleteHandler - Handles deleting branches from the tree
+ * Supports deleting a whole subtree, deleting one node while keeping its
+ * children (reparented to the grandparent), or untracking a node without
+ * touching its chat file
+ */
+
+import { BranchMoveHandler } from './BranchMoveHandler.js';
+
+export const DELETE_MODES = {
+    CASCADE: 'cascade',
+    REPARENT: 'reparent',
+    UNTRACK: 'untrack'
+};
+
+export class BranchDeleteHandler {
+    constructor(dependencies) {
+        this.chatFiles = dependencies.chatFiles;
+        this.moveHandler = new BranchMoveHandler(dependencies);
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+        this.moveHandler.updateDependencies(dependencies);
+    }
+
+    /**
+     * Collect a node and all of its descendants, parents before children
+     * @param {Object} node - Stored tree node (uuid, chat_name, children)
+     * @returns {Array} Flat list of nodes
+     */
+    collectSubtree(node) {
+        return this.moveHandler.collectSubtree(node);
+    }
+
+    /**
+     * Delete a branch using the given mode
+     * @param {Object} node - Stored tree node (uuid, chat_name, parent_uuid, children)
+     * @param {string} mode - One of DELETE_MODES
+     * @returns {Promise<number>} Number of chat files deleted
+     */
+    async deleteBranch(node, mode) {
+        switch (mode) {
+            case DELETE_MODES.CASCADE: {
+                const subtree = this.collectSubtree(node);
+
+                // Drop the records first so the CHAT_DELETED handler finds nothing left to fix
+                await this.moveHandler.write('deleteBranch', node.uuid, true);
+
+                // Delete children before parents
+                for (const subtreeNode of subtree.reverse()) {
+                    await this.chatFiles.deleteChat(subtreeNode.chat_name);
+                }
+                return subtree.length;
+            }
+            case DELETE_MODES.REPARENT:
+                await this.detachNode(node);
+                await this.chatFiles.deleteChat(node.chat_name);
+                return 1;
+            case DELETE_MODES.UNTRACK:
+                await this.detachNode(node);
+                // The marker stops the chat from being registered again as a new root when it is opened
+                await this.moveHandler.updateMetadataSafely(node.chat_name, {
+                    uuid: undefined,
+                    parent_uuid: undefined,
+                    root_uuid: undefined,
+                    branch_untracked: true
+                });
+                return 0;
+            default:
+                throw new Error(`Unknown delete mode: ${mode}`);
+        }
+    }
+
+    /**
+     * Remove a node's record, moving its children up to its parent
+     * Children of a root node become roots of their own trees.
+     * @param {Object} node - Stored tree node (uuid, chat_name, parent_uuid, root_uuid, children)
+     */
+    async detachNode(node) {
+        const newParentUuid = node.parent_uuid || null;
+
+        for (const child of node.children || []) {
+            // The grandparent is in the same tree as the node, so the root only changes for new roots
+            const rootUuid = newParentUuid ? (node.root_uuid || child.root_uuid) : child.uuid;
+            await this.moveHandler.moveBranch(child, newParentUuid, rootUuid);
+        }
+
+        await this.moveHandler.write('deleteBranch', node.uuid, false);
+    }
+}
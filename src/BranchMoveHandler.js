@@ -0,0 +1,104 @@
+/**
+ * BranchMoveHandler - Moves branches to a new parent or makes them roots
+ * Keeps the stored records and the chat_metadata of every moved chat file in sync
+ */
+
+export class BranchMoveHandler {
+    constructor(dependencies) {
+        this.storage = dependencies.storage;
+        this.chatFiles = dependencies.chatFiles;
+        this.syncQueue = dependencies.syncQueue || null; // Optional, queues writes while the plugin is down
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.storage !== undefined) this.storage = dependencies.storage;
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+    }
+
+    /**
+     * Run a storage write, through the sync queue when one is provided
+     * @param {string} operation - Storage method name
+     * @param {...any} args - Arguments for the storage method
+     */
+    async write(operation, ...args) {
+        if (this.syncQueue) {
+            return await this.syncQueue.submit(operation, ...args);
+        }
+        return await this.storage[operation](...args);
+    }
+
+    /**
+     * Collect a node and all of its descendants, parents before children
+     * @param {Object} node - Stored tree node (uuid, chat_name, children)
+     * @returns {Array} Flat list of nodes
+     */
+    collectSubtree(node) {
+        const nodes = [node];
+        for (let i = 0; i < nodes.length; i++) {
+            nodes.push(...(nodes[i].children || []));
+        }
+        return nodes;
+    }
+
+    /**
+     * Check if a node can be moved under a new parent without creating a cycle
+     * @param {Object} node - Stored tree node being moved
+     * @param {string|null} parentUuid - UUID of the new parent, null for a new root
+     * @returns {boolean}
+     */
+    canMove(node, parentUuid) {
+        if (!parentUuid) return true;
+        return !this.collectSubtree(node).some(subtreeNode => subtreeNode.uuid === parentUuid);
+    }
+
+    /**
+     * Move a node (and its subtree) under a new parent
+     * @param {Object} node - Stored tree node (uuid, chat_name, root_uuid, children)
+     * @param {string|null} parentUuid - UUID of the new parent, null to make the node a root
+     * @param {string} rootUuid - Root UUID of the tree the node ends up in
+     */
+    async moveBranch(node, parentUuid, rootUuid) {
+        if (!this.canMove(node, parentUuid)) {
+            throw new Error('A chat cannot be moved under itself or one of its descendants');
+        }
+
+        for (const subtreeNode of this.collectSubtree(node)) {
+            const updates = {};
+            if (subtreeNode === node) updates.parent_uuid = parentUuid || null;
+            if (subtreeNode.root_uuid !== rootUuid) updates.root_uuid = rootUuid;
+            if (Object.keys(updates).length === 0) continue;
+
+            await this.write('updateBranch', subtreeNode.uuid, updates);
+
+            // Roots have no parent_uuid in their metadata
+            const metadataUpdates = { ...updates };
+            if ('parent_uuid' in updates && !updates.parent_uuid) metadataUpdates.parent_uuid = undefined;
+            await this.updateMetadataSafely(subtreeNode.chat_name, metadataUpdates);
+        }
+    }
+
+    /**
+     * Keep chat file metadata in sync with the stored records
+     * Failures are logged only: the tree is drawn from the stored records,
+     * the file metadata matters for Rebuild Storage.
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     * @param {Object} updates - Metadata fields to set
+     * @returns {Promise<boolean>} True if the metadata was saved
+     */
+    async updateMetadataSafely(chatName, updates) {
+        try {
+            const saved = await this.chatFiles.updateChatMetadata(chatName, updates);
+            if (!saved) {
+                console.warn('[Chat Branches] Could not update metadata of chat:', chatName);
+            }
+            return !!saved;
+        } catch (error) {
+            console.warn('[Chat Branches] Could not update metadata of chat:', chatName, error);
+            return false;
+        }
+    }
+}
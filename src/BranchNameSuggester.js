@@ -0,0 +1,170 @@
+/**
+ * BranchNameSuggester - Readable branch names derived from chat content
+ * Names are either the first words of the first user message after the branch
+ * point, or the words that set a branch apart from its siblings. A branch that
+ * was just created has no messages of its own yet, so it is named after the
+ * messages it was branched from.
+ */
+
+import { ChatRenameHandler } from './ChatRenameHandler.js';
+import { BranchCreateDialog } from './BranchCreateDialog.js';
+
+export const AUTO_NAME_MODES = {
+    OFF: 'off',
+    FIRST_WORDS: 'first-words',
+    DISTINCTIVE: 'distinctive'
+};
+
+export const AUTO_NAME_MODE_LABELS = {
+    [AUTO_NAME_MODES.OFF]: 'Off (use the name template)',
+    [AUTO_NAME_MODES.FIRST_WORDS]: 'First words of the first user message',
+    [AUTO_NAME_MODES.DISTINCTIVE]: 'Most distinctive words compared to sibling branches'
+};
+
+const FIRST_WORDS_COUNT = 6;
+const DISTINCTIVE_WORDS_COUNT = 3;
+const MIN_DISTINCTIVE_LENGTH = 4; // Shorter words are mostly filler
+const MAX_WORD_LENGTH = 30; // Longer "words" are usually links or keyboard mashing
+const MAX_SUGGESTED_LENGTH = 80;
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu; // Only characters that are safe in file names
+
+// humanizedDateTime() stamps, as in SillyTavern's default chat names and "Branch #12 - 2025-01-01@12h30m15s"
+const TIMESTAMP_NAME_PATTERN = /\d{4}-\d{1,2}-\d{1,2}\s*@\s*\d{1,2}h\s*\d{1,2}m/;
+
+const STOP_WORDS = new Set([
+    'about', 'after', 'again', 'also', 'back', 'been', 'before', 'being', 'both', 'could', 'does', 'down',
+    'each', 'even', 'from', 'have', 'having', 'here', 'into', 'just', 'like', 'more', 'most', 'much', 'must',
+    'only', 'other', 'over', 'said', 'same', 'should', 'some', 'still', 'such', 'than', 'that', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'very', 'were', 'what', 'when',
+    'where', 'which', 'while', 'will', 'with', 'would', 'your', 'yours'
+]);
+
+/**
+ * Plain text of a chat message, without markup and macros
+ * @param {Object} message - Chat message
+ * @returns {string}
+ */
+function getText(message) {
+    return String(message?.mes || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\{\{[^}]*\}\}/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * @param {string} word
+ * @returns {string} The word with its first letter upper case
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+export class BranchNameSuggester {
+    /**
+     * Check if a chat still has a generated timestamp name
+     * @param {string} name - Chat name
+     * @returns {boolean}
+     */
+    static isTimestampName(name) {
+        return TIMESTAMP_NAME_PATTERN.test(String(name || ''));
+    }
+
+    /**
+     * Turn suggested words into a chat name with the rules for renaming a chat
+     * Names already in use are not refused here, new branches get a counter instead.
+     * @param {string|null} words - Suggested words
+     * @returns {string|null} Null if no valid name is left, e.g. a reserved name like "Con"
+     */
+    static toChatName(words) {
+        const shortened = String(words || '')
+            .split(' ')
+            .map(word => word.substring(0, MAX_WORD_LENGTH))
+            .join(' ')
+            .substring(0, MAX_SUGGESTED_LENGTH);
+        const name = BranchCreateDialog.sanitizeName(shortened);
+        return ChatRenameHandler.checkName(name).valid ? name : null;
+    }
+
+    /**
+     * The first words of a text
+     * @param {string} text
+     * @param {number} [count]
+     * @returns {string} Empty if the text has no words
+     */
+    static firstWords(text, count = FIRST_WORDS_COUNT) {
+        const words = String(text || '').match(WORD_PATTERN) || [];
+        return words.slice(0, count).join(' ');
+    }
+
+    /**
+     * Words frequent in a text but rare in the other texts
+     * @param {string} text - Text to name
+     * @param {string[]} otherTexts - Texts to tell it apart from
+     * @param {number} [count]
+     * @returns {string[]} Lowercase words, best first
+     */
+    static distinctiveWords(text, otherTexts, count = DISTINCTIVE_WORDS_COUNT) {
+        const tokenize = value => (String(value || '').toLowerCase().match(WORD_PATTERN) || [])
+            .filter(word => word.length >= MIN_DISTINCTIVE_LENGTH && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+        const counts = new Map(); // In insertion order, so ties keep the first occurrence first
+        tokenize(text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        const otherWords = otherTexts.map(other => new Set(tokenize(other)));
+
+        return [...counts.entries()]
+            .map(([word, frequency]) => {
+                const found = otherWords.filter(words => words.has(word)).length;
+                return { word, score: frequency * Math.log((otherWords.length + 2) / (found + 1)) };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, count)
+            .map(entry => entry.word);
+    }
+
+    /**
+     * Name an existing branch from the messages after its branch point
+     * @param {Array} messages - Chat messages of the branch, without the metadata header
+     * @param {number|null} branchPoint - Last message shared with the parent, null for roots
+     * @param {Array<Array>} siblingMessages - Messages of the other branches from the same parent
+     * @param {string} mode - One of AUTO_NAME_MODES
+     * @returns {string|null} Valid chat name, null if the branch has nothing to name it after
+     */
+    static suggest(messages, branchPoint, siblingMessages, mode) {
+        const start = branchPoint === null || branchPoint === undefined ? 0 : branchPoint + 1;
+        const own = messages.slice(start).filter(message => !message.is_system);
+
+        if (mode === AUTO_NAME_MODES.DISTINCTIVE) {
+            const otherTexts = siblingMessages.map(list => list.slice(start).map(getText).join(' '));
+            const words = BranchNameSuggester.distinctiveWords(own.map(getText).join(' '), otherTexts);
+            const name = BranchNameSuggester.toChatName(words.map(capitalize).join(' '));
+            if (name) return name;
+        }
+
+        // The first user message is where the branch took its own direction
+        const first = own.find(message => message.is_user) || own[0];
+        return BranchNameSuggester.toChatName(BranchNameSuggester.firstWords(getText(first)));
+    }
+
+    /**
+     * Name a branch being created from the messages up to its branch point
+     * @param {Array} messages - Messages copied into the branch
+     * @param {string} mode - One of AUTO_NAME_MODES
+     * @returns {string|null} Valid chat name, null to use the name template
+     */
+    static suggestForNewBranch(messages, mode) {
+        const shown = messages.filter(message => !message.is_system);
+        if (!shown.length) return null;
+
+        if (mode === AUTO_NAME_MODES.DISTINCTIVE) {
+            // The branch point message against the story before it
+            const earlier = shown.slice(0, -1).map(getText).join(' ');
+            const words = BranchNameSuggester.distinctiveWords(getText(shown[shown.length - 1]), [earlier]);
+            const name = BranchNameSuggester.toChatName(words.map(capitalize).join(' '));
+            if (name) return name;
+        }
+
+        const lastUser = [...shown].reverse().find(message => message.is_user) || shown[shown.length - 1];
+        return BranchNameSuggester.toChatName(BranchNameSuggester.firstWords(getText(lastUser)));
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * BranchPopover - Small list of branches anchored below an element
+ * Used by the in-chat widgets (badges, breadcrumbs). Only one popover is open
+ * at a time across widgets, it closes on outside click, Escape or chat scroll.
+ */
+
+export class BranchPopover {
+    constructor() {
+        this.$popover = null;
+    }
+
+    /**
+     * Open an empty popover showing a loading state
+     * @param {HTMLElement} anchor - Element to show the popover below
+     * @param {string} title - Popover title
+     * @returns {JQuery} The popover, pass it to setItems()
+     */
+    open(anchor, title) {
+        this.hide();
+        $('.chat-branches-popover').remove(); // Opened by another widget
+
+        const rect = anchor.getBoundingClientRect();
+        const $popover = $(`
+            <div class="chat-branches-popover">
+                <div class="chat-branches-popover-title"></div>
+                <div class="chat-branches-popover-list">
+                    <div class="chat-branches-popover-status"><i class="fa-solid fa-spinner fa-spin"></i> Loading...</div>
+                </div>
+            </div>
+        `).css({ left: rect.left, top: rect.bottom + 4 }).appendTo('body');
+        $popover.find('.chat-branches-popover-title').text(title);
+        this.$popover = $popover;
+
+        $(document).on('click.chatBranchesPopover', (e) => {
+            if (!$(e.target).closest('.chat-branches-popover').length) this.hide();
+        });
+        $(document).on('keydown.chatBranchesPopover', (e) => {
+            if (e.key === 'Escape') this.hide();
+        });
+        $('#chat').on('scroll.chatBranchesPopover', () => this.hide());
+
+        return $popover;
+    }
+
+    /**
+     * Fill a popover, ignored if it was closed in the meantime
+     * @param {JQuery} $popover - Popover returned by open()
+     * @param {Array<{label: string, detail?: string, onClick: Function}>} items
+     * @param {string} [emptyText] - Shown when there are no items
+     */
+    setItems($popover, items, emptyText = 'No branches') {
+        if (this.$popover !== $popover) return;
+
+        const $list = $popover.find('.chat-branches-popover-list').empty();
+        if (items.length === 0) {
+            $list.append($('<div class="chat-branches-popover-status"></div>').text(emptyText));
+        }
+
+        for (const item of items) {
+            const $item = $(`
+                <div class="chat-branches-popover-item" title="Open this branch">
+                    <span class="chat-branches-popover-name"></span>
+                    <small class="chat-branches-popover-date"></small>
+                </div>
+            `);
+            $item.find('.chat-branches-popover-name').text(item.label);
+            if (item.detail) {
+                $item.find('.chat-branches-popover-date').text(item.detail);
+            } else {
+                $item.find('.chat-branches-popover-date').remove();
+            }
+            $item.on('click', () => {
+                this.hide();
+                item.onClick();
+            });
+            $list.append($item);
+        }
+
+        // Keep the popover on screen
+        const rect = $popover[0].getBoundingClientRect();
+        const overflow = rect.right - window.innerWidth + 8;
+        if (overflow > 0) $popover.css('left', Math.max(8, rect.left - overflow));
+    }
+
+    hide() {
+        $(document).off('click.chatBranchesPopover keydown.chatBranchesPopover');
+        $('#chat').off('scroll.chatBranchesPopover');
+        this.$popover?.remove();
+        this.$popover = null;
+    }
+}
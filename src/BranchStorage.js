@@ -0,0 +1,117 @@
+/**
+ * BranchStorage - Pluggable storage layer for branch records
+ * Delegates every read and write to the active backend (server plugin or IndexedDB)
+ * so the rest of the extension never talks to a specific backend directly.
+ *
+ * Every backend implements:
+ *   checkAvailable(), getTree(ownerId), getBranch(uuid), findBranchesByChatName(chatName),
+ *   createBranch(branchData), updateBranch(uuid, updates), deleteBranch(uuid, cascade),
+ *   deleteOwner(ownerId)
+ * and may optionally implement getMessages(uuid, ownerName).
+ */
+
+import { PluginStorageBackend } from './PluginStorageBackend.js';
+import { IndexedDBStorageBackend } from './IndexedDBStorageBackend.js';
+
+export const STORAGE_BACKENDS = {
+    PLUGIN: 'plugin',
+    INDEXEDDB: 'indexeddb'
+};
+
+export class BranchStorage {
+    constructor(dependencies) {
+        this.backends = {
+            [STORAGE_BACKENDS.PLUGIN]: new PluginStorageBackend({
+                pluginBaseUrl: dependencies.pluginBaseUrl,
+                token: dependencies.token
+            }),
+            [STORAGE_BACKENDS.INDEXEDDB]: new IndexedDBStorageBackend()
+        };
+
+        this.backend = this.backends[dependencies.backendId] || this.backends[STORAGE_BACKENDS.PLUGIN];
+    }
+
+    /**
+     * Update dependencies on every backend
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        Object.values(this.backends).forEach(backend => backend.updateDependencies(dependencies));
+    }
+
+    /**
+     * Switch the active backend
+     * @param {string} backendId - One of STORAGE_BACKENDS
+     */
+    setBackend(backendId) {
+        if (!this.backends[backendId]) {
+            console.warn('[Chat Branches] Unknown storage backend, keeping current:', backendId);
+            return;
+        }
+        this.backend = this.backends[backendId];
+    }
+
+    /**
+     * @returns {string} Id of the active backend
+     */
+    getBackendId() {
+        return this.backend.id;
+    }
+
+    /**
+     * @returns {string} Human readable name of the active backend
+     */
+    getBackendLabel() {
+        return this.backend.label;
+    }
+
+    /**
+     * @returns {boolean} True if the server plugin is the active backend
+     */
+    isPluginBackend() {
+        return this.backend.id === STORAGE_BACKENDS.PLUGIN;
+    }
+
+    async checkAvailable() {
+        return await this.backend.checkAvailable();
+    }
+
+    async getTree(ownerId) {
+        return await this.backend.getTree(ownerId);
+    }
+
+    async getBranch(uuid) {
+        return await this.backend.getBranch(uuid);
+    }
+
+    async findBranchesByChatName(chatName) {
+        return await this.backend.findBranchesByChatName(chatName);
+    }
+
+    async createBranch(branchData) {
+        return await this.backend.createBranch(branchData);
+    }
+
+    async updateBranch(uuid, updates) {
+        return await this.backend.updateBranch(uuid, updates);
+    }
+
+    async deleteBranch(uuid, cascade = false) {
+        return await this.backend.deleteBranch(uuid, cascade);
+    }
+
+    async deleteOwner(ownerId) {
+        return await this.backend.deleteOwner(ownerId);
+    }
+
+    /**
+     * Read branch messages through the backend, if it supports it
+     * @param {string} uuid - Branch UUID
+     * @param {string} ownerName - Character or group name
+     * @returns {Promise<Array|null>} Messages, or null if unsupported/unavailable
+     */
+    async getMessages(uuid, ownerName) {
+        if (typeof this.backend.getMessages !== 'function') return null;
+        return await this.backend.getMessages(uuid, ownerName);
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * BranchTreeCache - Shares one fetched branch tree between the in-chat widgets
+ * The tree of an owner is fetched once and reused until invalidated, which
+ * happens on chat changes and after the tree view was used.
+ */
+
+export class BranchTreeCache {
+    constructor(dependencies) {
+        this.storage = dependencies.storage;
+        this.ownerId = null;
+        this.treePromise = null;
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.storage !== undefined) {
+            this.storage = dependencies.storage;
+            this.invalidate();
+        }
+    }
+
+    /**
+     * Get the branch tree of an owner, fetching it if not cached
+     * @param {string} ownerId - Character avatar or group id
+     * @returns {Promise<Array>} Root nodes with nested children
+     */
+    getTree(ownerId) {
+        if (this.treePromise && this.ownerId === ownerId) return this.treePromise;
+
+        const treePromise = this.storage.getTree(ownerId);
+        this.ownerId = ownerId;
+        this.treePromise = treePromise;
+
+        // Failed fetches are not cached
+        treePromise.catch(() => {
+            if (this.treePromise === treePromise) this.invalidate();
+        });
+
+        return treePromise;
+    }
+
+    invalidate() {
+        this.ownerId = null;
+        this.treePromise = null;
+    }
+
+    /**
+     * Find a node in a stored tree
+     * @param {Array} roots - Tree from getTree()
+     * @param {string} uuid - Branch UUID
+     * @returns {Object|null} Stored tree node
+     */
+    static findNode(roots, uuid) {
+        const stack = [...roots];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node.uuid === uuid) return node;
+            stack.push(...(node.children || []));
+        }
+        return null;
+    }
+}
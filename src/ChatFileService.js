@@ -0,0 +1,340 @@
+/**
+ * ChatFileService - Resolves the active chat owner (character or group)
+ * and wraps the SillyTavern chat file endpoints for both kinds of chats
+ */
+
+export class ChatFileService {
+    constructor(dependencies) {
+        this.characters = dependencies.characters;
+        this.this_chid = dependencies.this_chid;
+        this.token = dependencies.token;
+        this.selected_group = dependencies.selected_group;
+        this.groups = dependencies.groups;
+        this.openCharacterChat = dependencies.openCharacterChat;
+        this.openGroupChat = dependencies.openGroupChat;
+        this.renameGroupChat = dependencies.renameGroupChat;
+        this.getGroupPastChats = dependencies.getGroupPastChats;
+        this.deleteCharacterChatByName = dependencies.deleteCharacterChatByName;
+        this.deleteGroupChatByName = dependencies.deleteGroupChatByName;
+        this.chat_metadata = dependencies.chat_metadata;
+        this.saveMetadata = dependencies.saveMetadata;
+    }
+
+    /**
+     * Update dependencies (needed because this_chid / selected_group may change)
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.characters !== undefined) this.characters = dependencies.characters;
+        // this_chid is undefined while a group is open, so an explicit undefined must be applied too
+        if ('this_chid' in dependencies) this.this_chid = dependencies.this_chid;
+        if (dependencies.token !== undefined) this.token = dependencies.token;
+        if (dependencies.selected_group !== undefined) this.selected_group = dependencies.selected_group;
+        if (dependencies.groups !== undefined) this.groups = dependencies.groups;
+        if (dependencies.chat_metadata !== undefined) this.chat_metadata = dependencies.chat_metadata;
+    }
+
+    // =========================================================================
+    // OWNER RESOLUTION
+    // =========================================================================
+
+    /**
+     * Check if the active chat is a group chat
+     * @returns {boolean}
+     */
+    isGroup() {
+        return !!this.selected_group;
+    }
+
+    /**
+     * Get the active group object
+     * @returns {Object|null}
+     */
+    getGroup() {
+        if (!this.selected_group || !Array.isArray(this.groups)) return null;
+        return this.groups.find(group => group.id === this.selected_group) || null;
+    }
+
+    /**
+     * Get the active character object
+     * @returns {Object|null}
+     */
+    getCharacter() {
+        if (!this.characters || this.this_chid === undefined || this.this_chid === null) return null;
+        return this.characters[this.this_chid] || null;
+    }
+
+    /**
+     * Check if a character or group is currently selected
+     * @returns {boolean}
+     */
+    hasOwner() {
+        return this.isGroup() ? !!this.getGroup() : !!this.getCharacter();
+    }
+
+    /**
+     * Get the key branches are stored under: the group id for group chats,
+     * the character avatar for character chats
+     * @returns {string|null}
+     */
+    getOwnerId() {
+        if (this.isGroup()) {
+            return this.getGroup()?.id || null;
+        }
+        return this.getCharacter()?.avatar || null;
+    }
+
+    /**
+     * Get the display name of the active character or group
+     * @returns {string}
+     */
+    getOwnerName() {
+        if (this.isGroup()) {
+            return this.getGroup()?.name || '';
+        }
+        return this.getCharacter()?.name || '';
+    }
+
+    /**
+     * Get the name of the active chat file (without .jsonl extension)
+     * @returns {string|null}
+     */
+    getCurrentChatName() {
+        if (this.isGroup()) {
+            return this.getGroup()?.chat_id || null;
+        }
+        return this.getCharacter()?.chat || null;
+    }
+
+    // =========================================================================
+    // CHAT FILE OPERATIONS
+    // =========================================================================
+
+    /**
+     * Open a chat of the active character or group
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     */
+    async openChat(chatName) {
+        if (this.isGroup()) {
+            await this.openGroupChat(this.selected_group, String(chatName));
+        } else {
+            await this.openCharacterChat(String(chatName));
+        }
+    }
+
+    /**
+     * List all chats of the active character or group
+     * @returns {Promise<Array>} Chat info objects with at least a file_name property
+     */
+    async listChats() {
+        if (this.isGroup()) {
+            return await this.getGroupPastChats(this.selected_group);
+        }
+
+        const character = this.getCharacter();
+        if (!character) {
+            throw new Error('Character not found');
+        }
+
+        const response = await fetch('/api/characters/chats', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            },
+            body: JSON.stringify({ avatar_url: character.avatar })
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to fetch chats');
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : Object.values(data || {});
+    }
+
+    /**
+     * Fetch the full contents of a chat file
+     * The first element is the header with chat_metadata when the file has one
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     * @returns {Promise<Array>} Chat file entries
+     */
+    async getChat(chatName) {
+        const cleanName = String(chatName).replace(/\.jsonl$/i, '');
+        let response;
+
+        if (this.isGroup()) {
+            response = await fetch('/api/chats/group/get', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.token
+                },
+                body: JSON.stringify({ id: cleanName })
+            });
+        } else {
+            const character = this.getCharacter();
+            if (!character) {
+                throw new Error('Character not found');
+            }
+
+            response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.token
+                },
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: cleanName,
+                    avatar_url: character.avatar
+                })
+            });
+        }
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch chat data: ${cleanName}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : [];
+    }
+
+    /**
+     * Overwrite a chat file with the given entries
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     * @param {Array} chatData - Full chat file entries, header first
+     * @returns {Promise<boolean>} True if the file was saved
+     */
+    async saveChat(chatName, chatData) {
+        const cleanName = String(chatName).replace(/\.jsonl$/i, '');
+        let response;
+
+        if (this.isGroup()) {
+            response = await fetch('/api/chats/group/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.token
+                },
+                body: JSON.stringify({ id: cleanName, chat: chatData })
+            });
+        } else {
+            const character = this.getCharacter();
+            if (!character) {
+                throw new Error('Character not found');
+            }
+
+            response = await fetch('/api/chats/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': this.token
+                },
+                body: JSON.stringify({
+                    ch_name: character.name,
+                    file_name: cleanName,
+                    chat: chatData,
+                    avatar_url: character.avatar
+                })
+            });
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.warn('[ChatFileService] Failed to save chat:', cleanName, response.status, errorText);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Rename a chat file of the active character or group
+     * @param {string} oldName - Current chat name (without .jsonl extension)
+     * @param {string} newName - New chat name (without .jsonl extension)
+     * @returns {Promise<Response>} Raw response of the rename endpoint
+     */
+    async renameChat(oldName, newName) {
+        const body = {
+            is_group: this.isGroup(),
+            avatar_url: this.getCharacter()?.avatar,
+            original_file: `${String(oldName)}.jsonl`,
+            renamed_file: `${String(newName).trim()}.jsonl`,
+        };
+
+        console.log('[ChatFileService] Sending rename request:', body);
+
+        return await fetch('/api/chats/rename', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Keep the group's chat list in sync after a group chat file was renamed
+     * @param {string} oldName - Previous chat name
+     * @param {string} newName - New chat name
+     */
+    async syncGroupChatRename(oldName, newName) {
+        if (!this.isGroup()) return;
+        await this.renameGroupChat(this.selected_group, String(oldName), String(newName));
+    }
+
+    /**
+     * Delete a chat file of the active character or group
+     * Does not switch chats, so callers must not delete the active chat
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     */
+    async deleteChat(chatName) {
+        const cleanName = String(chatName).replace(/\.jsonl$/i, '');
+
+        if (this.isGroup()) {
+            await this.deleteGroupChatByName(this.selected_group, cleanName);
+        } else {
+            await this.deleteCharacterChatByName(this.this_chid, cleanName);
+        }
+    }
+
+    /**
+     * Update fields in the chat_metadata of a chat file
+     * The active chat is patched in memory and saved through SillyTavern so its
+     * next save does not overwrite the change. Fields set to undefined are removed.
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     * @param {Object} updates - Metadata fields to set
+     * @returns {Promise<boolean>} True if the metadata was saved
+     */
+    async updateChatMetadata(chatName, updates) {
+        const cleanName = String(chatName).replace(/\.jsonl$/i, '');
+
+        const applyUpdates = (metadata) => {
+            for (const [key, value] of Object.entries(updates)) {
+                if (value === undefined) {
+                    delete metadata[key];
+                } else {
+                    metadata[key] = value;
+                }
+            }
+        };
+
+        if (cleanName === String(this.getCurrentChatName())) {
+            applyUpdates(this.chat_metadata);
+            await this.saveMetadata();
+            return true;
+        }
+
+        const chatData = await this.getChat(cleanName);
+        const header = chatData[0];
+        if (!header || typeof header.chat_metadata !== 'object') {
+            console.warn('[ChatFileService] Chat has no metadata header:', cleanName);
+            return false;
+        }
+
+        applyUpdates(header.chat_metadata);
+        return await this.saveChat(cleanName, chatData);
+    }
+}
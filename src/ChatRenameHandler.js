@@ -1,46 +1,46 @@
 /**
  * ChatRenameHandler - Handles rename functionality for chat branches
- * Manages validation, plugin updates, and file renaming operations
+ * Manages validation, storage updates, and file renaming operations
  */
 
+// Windows filesystem constraints, shared by everything that names a chat
+export const INVALID_NAME_CHARS = /[<>:"/\\|?*]/; // No g flag: test() would keep lastIndex between names
+export const RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
+export const MAX_NAME_LENGTH = 255;
+
 export class ChatRenameHandler {
     constructor(dependencies) {
         this.token = dependencies.token;
-        this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        this.storage = dependencies.storage;
         this.characters = dependencies.characters;
         this.this_chid = dependencies.this_chid;
-        
-        // Windows filesystem constraints
-        this.INVALID_CHARS = /[<>:"/\\|?*]/g;
-        this.RESERVED_NAMES = /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])$/i;
-        this.MAX_FILENAME_LENGTH = 255;
+        this.chatFiles = dependencies.chatFiles;
+        this.syncQueue = dependencies.syncQueue || null; // Optional, queues writes while the plugin is down
     }
 
     /**
-     * Validate name against constraints
-     * @param {string} newName - The proposed new name
-     * @param {Array} treeRoots - Array of tree root nodes for duplicate checking
-     * @param {string} excludeUuid - UUID of the node being renamed (to exclude from duplicate check)
+     * Check a name against the file name constraints, without looking for duplicates
+     * @param {string} name - The proposed name
      * @returns {Object} Validation result { valid: boolean, error: string }
      */
-    validateName(newName, treeRoots, excludeUuid = null) {
+    static checkName(name) {
         // Check empty name
-        if (!newName || newName.trim().length === 0) {
+        if (!name || name.trim().length === 0) {
             return { valid: false, error: 'Chat name cannot be empty' };
         }
 
-        const trimmedName = newName.trim();
+        const trimmedName = name.trim();
 
         // Check length
-        if (trimmedName.length > this.MAX_FILENAME_LENGTH) {
+        if (trimmedName.length > MAX_NAME_LENGTH) {
             return { 
                 valid: false, 
-                error: `Name too long (max ${this.MAX_FILENAME_LENGTH} characters)` 
+                error: `Name too long (max ${MAX_NAME_LENGTH} characters)` 
             };
         }
 
         // Check invalid characters
-        if (this.INVALID_CHARS.test(trimmedName)) {
+        if (INVALID_NAME_CHARS.test(trimmedName)) {
             return { 
                 valid: false, 
                 error: 'Name contains invalid characters: < > : " / \\ | ? *' 
@@ -48,12 +48,26 @@ export class ChatRenameHandler {
         }
 
         // Check reserved names
-        if (this.RESERVED_NAMES.test(trimmedName)) {
+        if (RESERVED_NAMES.test(trimmedName)) {
             return { valid: false, error: 'Name is reserved by the system' };
         }
 
+        return { valid: true };
+    }
+
+    /**
+     * Validate name against constraints
+     * @param {string} newName - The proposed new name
+     * @param {Array} treeRoots - Array of tree root nodes for duplicate checking
+     * @param {string} excludeUuid - UUID of the node being renamed (to exclude from duplicate check)
+     * @returns {Object} Validation result { valid: boolean, error: string }
+     */
+    validateName(newName, treeRoots, excludeUuid = null) {
+        const check = ChatRenameHandler.checkName(newName);
+        if (!check.valid) return check;
+
         // Check for duplicates in tree
-        if (this.hasDuplicateName(trimmedName, treeRoots, excludeUuid)) {
+        if (this.hasDuplicateName(newName.trim(), treeRoots, excludeUuid)) {
             return { valid: false, error: 'A chat with this name already exists' };
         }
 
@@ -96,31 +110,19 @@ export class ChatRenameHandler {
     }
 
     /**
-     * Update branch in plugin storage
+     * Update branch in branch storage
      * @param {string} uuid - Branch UUID
      * @param {string} newName - New chat name (without .jsonl extension)
      * @returns {Promise<void>}
      */
-    async updateBranchInPlugin(uuid, newName) {
-        // Ensure newName doesn't have .jsonl extension (plugin stores clean names)
+    async updateBranchInStorage(uuid, newName) {
+        // Ensure newName doesn't have .jsonl extension (storage keeps clean names)
         const cleanName = String(newName).replace(/\.jsonl$/i, '');
 
-        const response = await fetch(`${this.pluginBaseUrl}/branch/${uuid}`, {
-            method: 'PATCH',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.token
-            },
-            body: JSON.stringify({ chat_name: cleanName })
-        });
-
-        if (!response.ok) {
-            throw new Error(`Plugin request failed: ${response.status}`);
-        }
-
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error || 'Plugin returned error');
+        if (this.syncQueue) {
+            await this.syncQueue.submit('updateBranch', uuid, { chat_name: cleanName });
+        } else {
+            await this.storage.updateBranch(uuid, { chat_name: cleanName });
         }
     }
 
@@ -133,36 +135,15 @@ export class ChatRenameHandler {
      * @returns {Promise<string|null>} Returns sanitized name if provided by server, null otherwise
      */
     async renameChatFile(oldName, newName, uuid) {
-        if (!this.characters || this.this_chid === undefined || this.this_chid === null) {
-            throw new Error('Character not found');
-        }
-
-        const character = this.characters[this.this_chid];
-        if (!character) {
-            throw new Error('Character not found');
+        if (!this.chatFiles.hasOwner()) {
+            throw new Error('Character or group not found');
         }
 
         const stringOldName = String(oldName);
         const stringNewName = String(newName).trim();
 
-        // Use SillyTavern's built-in rename API
-        const body = {
-            is_group: false,
-            avatar_url: character.avatar,
-            original_file: `${stringOldName}.jsonl`,
-            renamed_file: `${stringNewName}.jsonl`,
-        };
-
-        console.log('[ChatRenameHandler] Sending rename request:', body);
-
-        const response = await fetch('/api/chats/rename', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.token
-            },
-            body: JSON.stringify(body)
-        });
+        // Use SillyTavern's built-in rename API (handles both character and group chats)
+        const response = await this.chatFiles.renameChat(stringOldName, stringNewName);
 
         if (!response.ok) {
             let errorDetails = '';
@@ -192,8 +173,12 @@ export class ChatRenameHandler {
 
         console.log('[ChatRenameHandler] Rename successful:', data);
 
+        // Group chats are listed in the group object, keep it in sync with the new file name
+        const finalName = data.sanitizedFileName || stringNewName;
+        await this.chatFiles.syncGroupChatRename(stringOldName, finalName);
+
         // After renaming, restore the UUID in the chat metadata
-        await this.restoreUUIDMetadata(character.avatar, stringNewName, uuid);
+        await this.restoreUUIDMetadata(finalName, uuid);
 
         // Return sanitized filename if provided by server
         return data.sanitizedFileName || null;
@@ -202,12 +187,11 @@ export class ChatRenameHandler {
     /**
      * Restore UUID metadata after rename operation
      * SillyTavern's rename endpoint may strip custom metadata, so we restore it
-     * @param {string} characterAvatar - Character avatar filename
      * @param {string} chatName - Chat name (without .jsonl extension)
      * @param {string} uuid - UUID to restore
      * @returns {Promise<void>}
      */
-    async restoreUUIDMetadata(characterAvatar, chatName, uuid) {
+    async restoreUUIDMetadata(chatName, uuid) {
         try {
             console.log('[ChatRenameHandler] Restoring UUID metadata:', uuid, 'to chat:', chatName);
             
@@ -215,25 +199,7 @@ export class ChatRenameHandler {
             const cleanChatName = chatName.replace(/\.jsonl$/i, '');
             
             // Get the current chat data
-            const getResponse = await fetch('/api/chats/get', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': this.token
-                },
-                body: JSON.stringify({
-                    ch_name: characterAvatar,
-                    file_name: cleanChatName,
-                    avatar_url: characterAvatar
-                })
-            });
-
-            if (!getResponse.ok) {
-                console.warn('[ChatRenameHandler] Failed to get chat for UUID restoration:', getResponse.status);
-                return;
-            }
-
-            const chatData = await getResponse.json();
+            const chatData = await this.chatFiles.getChat(cleanChatName);
             
             // chatData is an array where first element is the header with metadata
             // and the rest are messages
@@ -256,25 +222,10 @@ export class ChatRenameHandler {
             const updatedChatData = [header, ...messages];
 
             // Save the updated chat
-            const saveResponse = await fetch('/api/chats/save', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-CSRF-Token': this.token
-                },
-                body: JSON.stringify({
-                    ch_name: characterAvatar,
-                    file_name: cleanChatName,
-                    chat: updatedChatData,
-                    avatar_url: characterAvatar
-                })
-            });
-
-            if (saveResponse.ok) {
+            const saved = await this.chatFiles.saveChat(cleanChatName, updatedChatData);
+
+            if (saved) {
                 console.log('[ChatRenameHandler] UUID metadata restored successfully');
-            } else {
-                const errorText = await saveResponse.text();
-                console.warn('[ChatRenameHandler] Failed to save UUID metadata:', saveResponse.status, errorText);
             }
         } catch (error) {
             console.error('[ChatRenameHandler] Error restoring UUID metadata:', error);
@@ -291,8 +242,8 @@ export class ChatRenameHandler {
      */
     async performRename(uuid, oldName, newName) {
         try {
-            // Step 1: Update plugin storage
-            await this.updateBranchInPlugin(uuid, newName);
+            // Step 1: Update branch storage
+            await this.updateBranchInStorage(uuid, newName);
 
             // Step 2: Rename the actual chat file and restore UUID metadata
             await this.renameChatFile(oldName, newName, uuid);
@@ -311,8 +262,8 @@ export class ChatRenameHandler {
      */
     updateDependencies(dependencies) {
         if (dependencies.token !== undefined) this.token = dependencies.token;
-        if (dependencies.pluginBaseUrl !== undefined) {
-            this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        if (dependencies.storage !== undefined) {
+            this.storage = dependencies.storage;
         }
         if (dependencies.characters !== undefined) {
             this.characters = dependencies.characters;
@@ -320,5 +271,8 @@ export class ChatRenameHandler {
         if (dependencies.this_chid !== undefined) {
             this.this_chid = dependencies.this_chid;
         }
+        if (dependencies.chatFiles !== undefined) {
+            this.chatFiles = dependencies.chatFiles;
+        }
     }
 }
\ No newline at end of file
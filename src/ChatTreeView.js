@@ -1,6 +1,17 @@
 import { ContextMenu } from './ContextMenu.js';
 import { MessageViewerPopup } from './MessageViewerPopup.js';
+import { BranchComparePopup } from './BranchComparePopup.js';
 import { ChatRenameHandler } from './ChatRenameHandler.js';
+import { BranchDeleteHandler, DELETE_MODES } from './BranchDeleteHandler.js';
+import { BranchMoveHandler } from './BranchMoveHandler.js';
+import { TreeFilter, FILTER_HELP } from './TreeFilter.js';
+import { TreeLayout, LAYOUT_SIZES, LAYOUT_MODES, LAYOUT_MODE_LABELS } from './TreeLayout.js';
+import { TreeMinimap } from './TreeMinimap.js';
+import { NodePreviewCard } from './NodePreviewCard.js';
+import { TreeRootManager } from './TreeRootManager.js';
+import { BranchNameSuggester, AUTO_NAME_MODES } from './BranchNameSuggester.js';
+import { BranchCreateDialog, MAX_NOTE_LENGTH } from './BranchCreateDialog.js';
+import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../../../scripts/popup.js';
 
 /**
  * Check if a chat is a checkpoint (bookmark)
@@ -12,6 +23,121 @@ function isCheckpointChat(chatName) {
     return chatName && chatName.includes('Checkpoint #');
 }
 
+/**
+ * Short age of a timestamp, like "5m", "3h" or "2d"
+ * @param {number} time - Timestamp in ms
+ * @returns {string}
+ */
+function formatAge(time) {
+    const minutes = Math.max(1, Math.floor((Date.now() - time) / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h`;
+    const days = Math.floor(hours / 24);
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.floor(days / 30)}mo`;
+    return `${Math.floor(days / 365)}y`;
+}
+
+/**
+ * Heatmap level of a timestamp, 4 for activity within a day down to 0 for older than HEATMAP_AGES
+ * @param {number|null} time - Timestamp in ms
+ * @returns {number}
+ */
+function getHeatLevel(time) {
+    if (!time) return 0;
+    const age = Date.now() - time;
+    const bucket = HEATMAP_AGES.findIndex(limit => age < limit);
+    return bucket === -1 ? 0 : HEATMAP_AGES.length - bucket;
+}
+
+/**
+ * Stable hue for a tag name, so a tag has the same chip color on every node
+ * @param {string} tag - Tag name
+ * @returns {number} Hue in degrees
+ */
+function getTagHue(tag) {
+    let hash = 0;
+    for (const char of String(tag).toLowerCase()) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return hash;
+}
+
+/**
+ * Climb from a view node to the root of its tree
+ * @param {Object} node - View node
+ * @returns {Object} Root view node
+ */
+function findRoot(node) {
+    let root = node;
+    while (root.parent) {
+        root = root.parent;
+    }
+    return root;
+}
+
+/**
+ * Follow a tree from its root along the single children and the canonical
+ * child of every fork, up to a leaf or a fork without one
+ * @param {Object} root - Root view node
+ * @returns {Array} View nodes from the root to the canonical tip, empty if no fork is marked
+ */
+function getCanonicalPath(root) {
+    const path = [root];
+    let isMarked = false;
+    let node = root;
+    while (node.children?.length) {
+        if (node.children.length === 1) {
+            node = node.children[0];
+        } else {
+            const next = node.children.find(child => child.id === node.data.canonical_child);
+            if (!next) break;
+            isMarked = true;
+            node = next;
+        }
+        path.push(node);
+    }
+    return isMarked ? path : [];
+}
+
+/**
+ * Forks between a node and its root, with the child leading towards the node
+ * @param {Object} node - View node
+ * @returns {Array<{parent: Object, child: Object}>}
+ */
+function getForkChoices(node) {
+    const choices = [];
+    for (let child = node; child.parent; child = child.parent) {
+        if (child.parent.children.length > 1) choices.push({ parent: child.parent, child });
+    }
+    return choices;
+}
+
+/**
+ * Order sibling nodes by rating, favorites first among equal ratings
+ * @param {Array} children - View nodes
+ * @returns {Array} Sorted copy, otherwise in their stored order
+ */
+function sortByRating(children) {
+    return [...children].sort((a, b) =>
+        (b.data.rating || 0) - (a.data.rating || 0) || Number(!!b.data.favorite) - Number(!!a.data.favorite));
+}
+
+const ZOOM_LIMITS = { min: 0.2, max: 2 };
+const ZOOM_STEP = 1.25; // Factor per zoom button click
+const PREVIEW_HOVER_DELAY = 400; // ms a node is hovered before its preview card shows
+const PREVIEW_FOCUS_DELAY = 800; // ms a node keeps keyboard focus before its preview card shows
+const MIN_FOLDED_CHAIN = 2; // Shorter single-child runs stay expanded when compressing chains
+const MAX_NODE_TAG_CHIPS = 2; // More tags show as "+N"
+const BRANCH_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_RATING = 5;
+// Record fields also kept in the chat file, so Rebuild Storage restores them
+const METADATA_FIELDS = { favorite: 'branch_favorite', rating: 'branch_rating', canonical_child: 'branch_canonical_child' };
+const MAX_NAME_COUNTER = 20; // Suggested names taken up to "Name (20)" are left out
+const DAY = 24 * 60 * 60 * 1000;
+const HEATMAP_AGES = [DAY, 7 * DAY, 30 * DAY, 90 * DAY]; // Activity younger than each age is one heat level hotter
+
 export class ChatTreeView {
     constructor(dependencies) {
         this.characters = dependencies.characters;
@@ -19,9 +145,16 @@ export class ChatTreeView {
         this.token = dependencies.token;
         this.openCharacterChat = dependencies.openCharacterChat;
         this.extensionName = dependencies.extensionName;
-        this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        this.storage = dependencies.storage; // Branch storage backend
+        this.syncQueue = dependencies.syncQueue || null; // Queues writes while the plugin is down
+        this.searchIndex = dependencies.searchIndex; // Message text of every branch
+        this.onHide = dependencies.onHide || null; // Called after the modal closes
+        this.settings = dependencies.settings; // Extension settings, holds treeDocked, treeLayout, treeMinimap, treeCompressChains, treeForest, treeHeatmap, treeFilterHides and treeSortByRating
+        this.saveSettings = dependencies.saveSettings;
         this.selected_group = dependencies.selected_group;
         this.chat_metadata = dependencies.chat_metadata;  // Add chat_metadata reference
+        this.chatFiles = dependencies.chatFiles; // Resolves character vs group chats
+        this.timestampToMoment = dependencies.timestampToMoment; // Parses the chat list's last_mes
 
         // State
         this.treeRoots = [];
@@ -29,8 +162,13 @@ export class ChatTreeView {
         this.nodeMap = new Map();
         this.currentChatFile = null;
         this.currentChatUUID = null;
-        this.currentRootNode = null; // Track currently selected root
+        this.currentRootNode = null; // Root shown alone, or scrolled to in forest mode
+        this.loadedOwnerId = null; // Owner of the tree in nodeMap
         this.expandedUUIDs = new Set();
+        this.unfoldedUUIDs = new Set(); // Nodes of compressed chains the user opened
+        this.lastActivity = new Map(); // Chat name -> last message time in ms from the chat list
+        this.messageCounts = new Map(); // Chat name -> message count from the chat list
+        this.canonicalIds = new Set(); // UUIDs on the canonical paths of the shown trees
         
         // UI State
         this.resizeTimer = null;
@@ -40,16 +178,56 @@ export class ChatTreeView {
         this.isSwappingChat = false; // Prevent multiple simultaneous chat swaps
         this.isRenaming = false; // Track rename state
         this.renameNode = null; // Track node being renamed
+        this.dragState = null; // Track node being dragged for reparenting
+        this.compareSelection = null; // UUID of the first node picked for comparison
+        this.searchMatches = new Set(); // UUIDs of nodes with messages matching the search
+        this.searchTimer = null;
+        this.searchIndexedOwner = null; // Owner whose index was checked since the modal opened
+        this.treeFilter = null; // Active TreeFilter, null when the filter bar is empty
+        this.layout = new TreeLayout(); // Node positions of the visible trees
+        this.renderedNodes = new Map(); // UUID -> materialized .tree-node element
+        this.viewportFrame = null; // Pending requestAnimationFrame for scroll updates
+        this.filterTimer = null;
+        this.visible = false; // Modal or docked panel is open
+        this.zoom = 1; // Canvas scale, layout coordinates stay unscaled
+        this.pinch = null; // Two-finger zoom start { distance, zoom }
+        this.focusedUUID = null; // Node holding the roving tabindex
+        this.previewTimer = null;
+        this.lastTouchTime = 0; // Taps emulate mouseenter, which must not open previews
 
         // Sub-components
         this.contextMenu = new ContextMenu();
         this.messageViewerPopup = null;
+        this.branchComparePopup = null;
         this.contextMenuNode = null;
+        this.previewCard = new NodePreviewCard({
+            chatFiles: this.chatFiles
+        });
+        this.rootManager = new TreeRootManager({
+            onBrowse: root => this.browseRoot(root),
+            onOpen: root => this.openRoot(root),
+            onCanonical: (root, tip) => this.browseRoot(root, tip)
+        });
+        this.minimap = new TreeMinimap({
+            onNavigate: (x, y) => this.scrollToLayoutPoint(x, y)
+        });
         this.renameHandler = new ChatRenameHandler({
             token: this.token,
-            pluginBaseUrl: this.pluginBaseUrl,
+            storage: this.storage,
             characters: this.characters,
-            this_chid: this.this_chid
+            this_chid: this.this_chid,
+            chatFiles: this.chatFiles,
+            syncQueue: this.syncQueue
+        });
+        this.deleteHandler = new BranchDeleteHandler({
+            storage: this.storage,
+            chatFiles: this.chatFiles,
+            syncQueue: this.syncQueue
+        });
+        this.moveHandler = new BranchMoveHandler({
+            storage: this.storage,
+            chatFiles: this.chatFiles,
+            syncQueue: this.syncQueue
         });
 
         this.setupContextMenu();
@@ -59,12 +237,32 @@ export class ChatTreeView {
         this.contextMenu.onOptionSelect((optionId) => {
             if (optionId === 'view-messages' && this.contextMenuNode) {
                 this.openMessageViewer(this.contextMenuNode);
+            } else if (optionId === 'delete-branch' && this.contextMenuNode) {
+                this.confirmDeleteBranch(this.contextMenuNode);
+            } else if (['compare-select', 'compare-with', 'compare-clear'].includes(optionId) && this.contextMenuNode) {
+                this.selectForCompare(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'edit-tags' && this.contextMenuNode) {
+                this.editTags(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'edit-note' && this.contextMenuNode) {
+                this.editNote(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'toggle-favorite' && this.contextMenuNode) {
+                this.toggleFavorite(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'rate-branch' && this.contextMenuNode) {
+                this.rateBranch(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'mark-canonical' && this.contextMenuNode) {
+                this.markCanonical(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'unmark-canonical' && this.contextMenuNode) {
+                this.unmarkCanonical(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid));
+            } else if (optionId === 'promote-root' && this.contextMenuNode) {
+                this.moveNode(this.nodeMap.get(this.contextMenuNode.id || this.contextMenuNode.uuid), null);
             } else if (optionId === 'expand-all') {
                 this.expandAllNodes();
             } else if (optionId === 'collapse-all') {
                 this.collapseAllNodes();
             } else if (optionId === 'find-current') {
                 this.centerOnActive();
+            } else if (optionId === 'suggest-names') {
+                this.suggestNames();
             }
             this.contextMenuNode = null;
         });
@@ -74,8 +272,8 @@ export class ChatTreeView {
         this.characters = dependencies.characters;
         this.this_chid = dependencies.this_chid;
         this.token = dependencies.token;
-        if (dependencies.pluginBaseUrl) {
-            this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        if (dependencies.storage) {
+            this.storage = dependencies.storage;
         }
         if (dependencies.selected_group !== undefined) {
             this.selected_group = dependencies.selected_group;
@@ -83,7 +281,10 @@ export class ChatTreeView {
         if (dependencies.chat_metadata !== undefined) {
             this.chat_metadata = dependencies.chat_metadata;
         }
+        this.chatFiles.updateDependencies(dependencies);
         this.renameHandler.updateDependencies(dependencies);
+        this.deleteHandler.updateDependencies(dependencies);
+        this.moveHandler.updateDependencies(dependencies);
     }
 
     // =========================================================================
@@ -91,19 +292,19 @@ export class ChatTreeView {
     // =========================================================================
 
     async show() {
-        // Skip group chats - this extension only works with character chats
-        if (this.selected_group) {
-            toastr.warning('Group chats are not supported by this extension.');
-            return;
-        }
+        this.chatFiles.updateDependencies({
+            characters: this.characters,
+            this_chid: this.this_chid,
+            selected_group: this.selected_group
+        });
 
-        if (!this.this_chid && this.this_chid !== 0) {
-            toastr.warning('No character selected.');
+        if (!this.chatFiles.hasOwner()) {
+            toastr.warning('No character or group selected.');
             return;
         }
 
         // Ensure currentChatFile is always a string
-        this.currentChatFile = String(this.characters[this.this_chid]?.chat || '');
+        this.currentChatFile = String(this.chatFiles.getCurrentChatName() || '');
         if (!this.currentChatFile) {
             toastr.info('No active chat found.');
             return;
@@ -119,29 +320,183 @@ export class ChatTreeView {
         this.currentChatUUID = this.chat_metadata?.uuid || null;
 
         await this.renderModalSkeleton();
+        this.visible = true;
         await this.loadAndBuildTree();
     }
 
+    isOpen() {
+        return this.visible;
+    }
+
+    isDocked() {
+        return !!this.settings?.treeDocked;
+    }
+
+    // =========================================================================
+    // LIVE UPDATES (DOCKED PANEL)
+    // =========================================================================
+
+    /**
+     * Follow the active chat while the view stays open
+     * The loaded tree is reused when it contains the new chat, refetched otherwise
+     */
+    async handleChatChanged() {
+        if (!this.visible || this.isSwappingChat) return; // swapChat reloads by itself
+
+        if (!this.chatFiles.hasOwner()) {
+            this.hide();
+            return;
+        }
+
+        const chatName = String(this.chatFiles.getCurrentChatName() || '');
+        if (!chatName || isCheckpointChat(chatName)) return;
+
+        this.cancelRename();
+        this.previewCard.invalidate(this.currentNode?.id); // Messages may have been added there
+        this.currentChatFile = chatName;
+        this.currentChatUUID = this.chat_metadata?.uuid || null;
+
+        if (this.chatFiles.getOwnerId() !== this.loadedOwnerId || !this.nodeMap.has(this.currentChatUUID)) {
+            await this.loadAndBuildTree();
+            return;
+        }
+
+        this.findCurrentNode();
+        this.isolateActiveTree();
+        this.expandActivePath();
+        this.populateRootManager();
+        this.render();
+        this.centerOnActive();
+    }
+
+    /**
+     * Add a newly created branch to the loaded tree
+     * @param {Object} record - Branch record as registered with storage
+     */
+    addBranch(record) {
+        if (!this.visible || record.character_id !== this.loadedOwnerId || this.nodeMap.has(record.uuid)) return;
+
+        const parent = this.nodeMap.get(record.parent_uuid) || null;
+        const node = {
+            id: record.uuid,
+            name: record.chat_name,
+            parentId: record.parent_uuid,
+            children: [],
+            data: { ...record, children: [] },
+            parent: parent
+        };
+        this.nodeMap.set(node.id, node);
+
+        if (parent) {
+            parent.children.push(node);
+            this.expandedUUIDs.add(parent.id);
+        } else {
+            this.allTreeRoots.push(node);
+            if (this.isForestMode()) this.treeRoots.push(node);
+            this.populateRootManager();
+        }
+        this.render();
+    }
+
+    /**
+     * Show the new name of a chat renamed outside the tree view
+     * @param {string} uuid - Branch UUID
+     * @param {string} newName - New chat name
+     */
+    renameBranch(uuid, newName) {
+        const node = this.nodeMap.get(uuid);
+        if (!this.visible || !node || node.name === newName) return;
+
+        node.name = newName;
+        node.data.chat_name = newName;
+        if (node === this.currentNode) this.currentChatFile = newName;
+
+        this.populateRootManager();
+        this.render();
+    }
+
+    /**
+     * Drop the stale preview of the active chat and refresh an active
+     * message search, the new message may match it
+     */
+    handleMessageReceived() {
+        if (!this.visible) return;
+        this.previewCard.invalidate(this.currentNode?.id);
+
+        const query = String($('#chat_tree_search_input').val() || '');
+        if (query.trim().length < 2) return;
+
+        // Leaves time for the search index to store the message
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(query), 300);
+    }
+
+    /**
+     * Show the new message count and last activity of a branch
+     * @param {string} uuid - Branch UUID
+     * @param {{message_count?: number, last_activity?: number}} updates - Recorded fields
+     */
+    updateBranchActivity(uuid, updates) {
+        const node = this.nodeMap.get(uuid);
+        if (!this.visible || !node) return;
+
+        Object.assign(node.data, updates);
+        if (Number.isFinite(updates.message_count)) this.messageCounts.set(node.name, updates.message_count);
+        this.previewCard.invalidate(uuid);
+        this.populateRootManager();
+
+        // Only this node's card changes
+        const hadFocus = document.activeElement === this.renderedNodes.get(uuid);
+        this.renderedNodes.get(uuid)?.remove();
+        this.renderedNodes.delete(uuid);
+        this.renderViewport();
+        if (hadFocus) this.focusNode(uuid);
+    }
+
+    /**
+     * Switch between the centered modal and the side panel
+     */
+    toggleDock() {
+        this.settings.treeDocked = !this.isDocked();
+        this.saveSettings();
+        this.applyDockState();
+
+        if (!this.treeRoots.length) return;
+        this.relayout();
+        this.centerOnActive();
+    }
+
+    applyDockState() {
+        const docked = this.isDocked();
+        $('#chat_tree_overlay').toggleClass('docked', docked);
+        $('body').toggleClass('chat-branches-tree-docked', docked); // Makes room for the panel next to the chat
+        $('#chat_tree_dock')
+            .toggleClass('active', docked)
+            .attr('title', docked ? 'Undock (show as a popup)' : 'Dock to the side, stays open while chatting');
+    }
+
     async loadAndBuildTree() {
         this.setLoading(true);
 
         try {
-            // Get character ID for plugin query
-            const characterId = this.characters[this.this_chid]?.avatar;
+            // Get owner ID for storage query (character avatar or group id)
+            const ownerId = this.chatFiles.getOwnerId();
             
-            if (!characterId) {
-                throw new Error('Character ID not found');
+            if (!ownerId) {
+                throw new Error('Character or group ID not found');
             }
 
-            const treeData = await this.fetchTreeFromPlugin(characterId);
+            const treeData = await this.fetchTree(ownerId);
             
             this.buildNodeMapFromTree(treeData);
+            this.loadedOwnerId = ownerId;
             this.findCurrentNode();
             this.isolateActiveTree();
             this.expandActivePath();
-            this.populateRootDropdown();
+            this.populateRootManager();
             this.render();
             this.centerOnActive();
+            this.loadChatList(); // Fills in the root manager when the chat list arrives
 
         } catch (err) {
             console.error('[Chat Branches] Error loading tree:', err);
@@ -150,30 +505,14 @@ export class ChatTreeView {
         }
     }
 
-    async fetchTreeFromPlugin(characterId) {
-        const response = await fetch(`${this.pluginBaseUrl}/tree/${characterId}`, {
-            headers: {
-                'X-CSRF-Token': this.token
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Plugin request failed: ${response.status}`);
-        }
-
-        const data = await response.json();
-        
-        if (!data.success) {
-            throw new Error(data.error || 'Plugin returned error');
-        }
-
-        return data.tree;
+    async fetchTree(ownerId) {
+        return await this.storage.getTree(ownerId);
     }
 
     buildNodeMapFromTree(treeArray) {
         this.nodeMap.clear();
         
-        // Recursively process tree structure from plugin
+        // Recursively process tree structure from storage
         const processNode = (node, parent = null) => {
             // Create our internal node structure
             const internalNode = {
@@ -288,15 +627,9 @@ export class ChatTreeView {
             return;
         }
 
-        // Climb to root
-        let root = this.currentNode;
-        while (root.parent) {
-            root = root.parent;
-        }
-
-        // Set current root and only show this tree
-        this.currentRootNode = root;
-        this.treeRoots = [root];
+        // Set current root and only show this tree, forest mode keeps them all
+        this.currentRootNode = findRoot(this.currentNode);
+        this.treeRoots = this.isForestMode() ? [...this.allTreeRoots] : [this.currentRootNode];
     }
 
     expandActivePath() {
@@ -315,30 +648,179 @@ export class ChatTreeView {
     // RENDERING LOGIC
     // =========================================================================
 
+    /**
+     * Lay out the visible trees and rebuild the nodes in view
+     * Only nodes inside the viewport (plus a margin) exist in the DOM,
+     * scrolling materializes the rest as they come into view.
+     */
     render() {
         const $container = $('#chat_tree_content');
-        $container.empty();
 
         if (this.treeRoots.length === 0) {
+            this.renderedNodes.clear();
+            this.layout.positions.clear();
+            this.layout.width = this.layout.height = 0;
+            this.minimap.draw(this.layout);
             $container.html('<div class="chat-tree-empty">No connected chat history found.</div>');
             return;
         }
 
-        const treeHtml = `
-            <div class="family-tree-wrapper">
-                <svg id="chat_tree_lines"></svg>
-                <div class="family-tree-inner">
-                    ${this.treeRoots.map(root => this.renderNodeRecursive(root, 0)).join('')}
+        // setLoading() and the empty state replace the canvas, recreate it
+        if (!$container.children('.family-tree-wrapper').length) {
+            $container.html(`
+                <div class="family-tree-wrapper">
+                    <div class="family-tree-canvas">
+                        <svg id="chat_tree_lines" aria-hidden="true">
+                            <path class="tree-edges" stroke="#666" fill="none" stroke-width="2"></path>
+                            <path class="tree-folded-edges" stroke="#666" fill="none" stroke-width="2" stroke-dasharray="6 4"></path>
+                            <path class="tree-canonical-edges" fill="none" stroke-width="4"></path>
+                        </svg>
+                        <div class="family-tree-folds"></div>
+                        <div class="family-tree-inner" role="tree" aria-label="Chat branches"></div>
+                    </div>
                 </div>
-            </div>
-        `;
+            `);
+        }
 
-        $container.html(treeHtml);
-        this.drawLines();
-        this.bindEvents();
+        this.relayout();
+
+        // Node state (classes, rename input) may have changed, rebuild what is in view
+        const hadFocus = $(document.activeElement).is('#chat_tree_content .tree-node');
+        $container.find('.family-tree-inner').empty();
+        this.renderedNodes.clear();
+        this.renderViewport();
+        if (hadFocus) this.focusNode(this.getRovingUUID());
+    }
+
+    /**
+     * Recompute node positions and resize the canvas
+     */
+    relayout() {
+        const $container = $('#chat_tree_content');
+        this.layout.sizes = window.matchMedia('(max-width: 768px)').matches ? LAYOUT_SIZES.compact : LAYOUT_SIZES.default;
+        this.layout.mode = this.getLayoutMode();
+        // A hiding filter leaves out every branch without matches below it
+        const keepIds = this.treeFilter && this.isFilterHiding() ? this.getFilterKeepIds() : null;
+        const roots = keepIds ? this.treeRoots.filter(root => keepIds.has(root.id)) : this.treeRoots;
+        this.canonicalIds = new Set(this.treeRoots.flatMap(root => getCanonicalPath(root).map(node => node.id)));
+
+        this.layout.compute(roots, node => this.expandedUUIDs.has(node.id), ($container.innerWidth() || 0) / this.zoom, {
+            isHidden: keepIds ? node => !keepIds.has(node.id) : null,
+            sortChildren: this.isSortingByRating() ? children => sortByRating(children) : null,
+            foldChain: this.isCompressingChains() ? child => this.foldChain(child) : null
+        });
+
+        $container.find('.family-tree-wrapper').attr('data-layout', this.layout.mode);
+        $container.find('.family-tree-canvas').css({ width: this.layout.width, height: this.layout.height });
+        $('#chat_tree_lines').attr({ width: this.layout.width, height: this.layout.height });
+        this.applyZoom();
+
+        this.minimap.draw(this.layout, {
+            currentId: this.currentNode?.id,
+            matchIds: this.searchMatches
+        });
+    }
+
+    /**
+     * Layout picked in the header, phones default to the outline
+     * @returns {string} One of LAYOUT_MODES
+     */
+    getLayoutMode() {
+        const saved = this.settings?.treeLayout;
+        if (Object.values(LAYOUT_MODES).includes(saved)) return saved;
+        return window.matchMedia('(max-width: 768px)').matches ? LAYOUT_MODES.OUTLINE : LAYOUT_MODES.TOP_DOWN;
+    }
+
+    /**
+     * Switch the layout and keep the active chat in view
+     * @param {string} mode - One of LAYOUT_MODES
+     */
+    setLayoutMode(mode) {
+        this.settings.treeLayout = mode;
+        this.saveSettings();
+        if (!this.treeRoots.length) return;
+
+        this.render();
+        this.centerOnActive();
+    }
+
+    /**
+     * Viewport of the canvas in layout coordinates, grown by a margin
+     * @returns {{left: number, top: number, right: number, bottom: number}}
+     */
+    getViewportRect() {
+        const container = document.getElementById('chat_tree_content');
+        const OVERSCAN = 300; // px rendered beyond each edge so fast scrolling stays filled
+        if (!container) return { left: 0, top: 0, right: 0, bottom: 0 };
+
+        return {
+            left: (container.scrollLeft - OVERSCAN) / this.zoom,
+            top: (container.scrollTop - OVERSCAN) / this.zoom,
+            right: (container.scrollLeft + container.clientWidth + OVERSCAN) / this.zoom,
+            bottom: (container.scrollTop + container.clientHeight + OVERSCAN) / this.zoom
+        };
+    }
+
+    /**
+     * Add nodes that scrolled into view, remove the ones that left it and
+     * move the ones whose position changed
+     */
+    renderViewport() {
+        const $inner = $('#chat_tree_content .family-tree-inner');
+        if (!$inner.length) return;
+
+        const rect = this.getViewportRect();
+        const inView = this.layout.getNodesInRect(rect);
+
+        // The node holding the tab stop stays in the DOM so Tab and screen readers can reach it
+        const rovingPosition = this.layout.positions.get(this.getRovingUUID());
+        if (rovingPosition && !inView.includes(rovingPosition)) inView.push(rovingPosition);
+        const inViewIds = new Set(inView.map(position => position.node.id));
+
+        for (const [uuid, element] of this.renderedNodes) {
+            if (!inViewIds.has(uuid)) {
+                element.remove();
+                this.renderedNodes.delete(uuid);
+            }
+        }
+
+        const newHtml = [];
+        for (const position of inView) {
+            const element = this.renderedNodes.get(position.node.id);
+            if (element) {
+                element.style.left = `${position.x}px`;
+                element.style.top = `${position.y}px`;
+            } else {
+                newHtml.push(this.renderNode(position.node, position));
+            }
+        }
+
+        if (newHtml.length) {
+            $inner.append(newHtml.join(''));
+            $inner.children('.tree-node').each((_, element) => {
+                this.renderedNodes.set($(element).data('uuid'), element);
+            });
+        }
+
+        this.drawLines(rect);
+        this.updateMinimapViewport();
     }
 
-    renderNodeRecursive(node, level) {
+    scheduleViewportRender() {
+        if (this.viewportFrame) return;
+        this.viewportFrame = requestAnimationFrame(() => {
+            this.viewportFrame = null;
+            this.renderViewport();
+        });
+    }
+
+    /**
+     * Build the HTML of one node card
+     * @param {Object} node - View node
+     * @param {{x: number, y: number}} position - Layout position
+     * @returns {string}
+     */
+    renderNode(node, position) {
         // Use UUID for active detection, but also check name as fallback
         const isActiveByUUID = this.currentChatUUID && node.id === this.currentChatUUID;
         const isActiveByName = node.name === this.currentChatFile;
@@ -347,85 +829,138 @@ export class ChatTreeView {
         const isExpanded = this.expandedUUIDs.has(node.id);
         const hasChildren = node.children && node.children.length > 0;
         const isRenaming = this.isRenaming && this.renameNode?.id === node.id;
+        const isCompareSelected = this.compareSelection === node.id;
+        const isSearchMatch = this.searchMatches.has(node.id);
+        const isDragging = this.dragState?.$ghost && this.dragState.node.id === node.id;
+        const filterClass = this.treeFilter ? (this.treeFilter.matches(node) ? 'filter-match' : 'filter-dim') : '';
+        const messageCount = this.getMessageCount(node);
+        const hasMessageCount = Number.isFinite(messageCount);
+        const lastActivity = this.getLastActivity(node);
+        const heatClass = this.isHeatmapShown() ? `heat-${getHeatLevel(lastActivity)}` : '';
+        const tags = node.data.tags || [];
+        const color = BRANCH_COLOR_PATTERN.test(node.data.color || '') ? node.data.color : null;
+        const rating = node.data.rating || 0;
+        const isCanonical = this.canonicalIds.has(node.id);
+        const escape = MessageViewerPopup.escapeHtml;
+        const isFocusTarget = node.id === this.getRovingUUID();
+        const { nodeWidth, nodeHeight } = this.layout.sizes;
         
-        // Truncate name
+        // Truncate name, the preview card shows the full one
         const displayLabel = node.name.length > 15 ? node.name.substring(0, 15) + '...' : node.name;
-        const msgCount = node.data.message_count || node.data.chat_items || node.data.branch_point || 0;
+
+        // Flat treeitems: level, position and set size stand in for the nesting
+        const siblings = this.layout.getSiblings(node);
+        const childCount = node.children?.length || 0;
+        const foldedCount = this.layout.folds.get(node.id)?.length || 0;
+        const ariaParts = [node.name, childCount ? `${childCount} branch${childCount === 1 ? '' : 'es'}` : 'no branches'];
+        if (foldedCount) ariaParts.push(`${foldedCount} hidden above`);
+        if (tags.length) ariaParts.push(`tags: ${tags.join(', ')}`);
+        if (node.data.favorite) ariaParts.push('favorite');
+        if (rating) ariaParts.push(`rated ${rating} of ${MAX_RATING}`);
+        if (isCanonical) ariaParts.push('canonical');
+        if (node.data.note) ariaParts.push('has a note');
+        if (hasMessageCount) ariaParts.push(`${messageCount} messages`);
+        if (lastActivity) ariaParts.push(`active ${formatAge(lastActivity)} ago`);
+        if (isActive) ariaParts.push('current chat');
+        const ariaLabel = ariaParts.join(', ');
 
         return `
-            <div class="tree-branch">
-                <div class="tree-entry">
-                    <div class="tree-node ${isActive ? 'active-node' : ''} ${isRenaming ? 'renaming' : ''}"
+                    <div class="tree-node ${isActive ? 'active-node' : ''} ${isRenaming ? 'renaming' : ''} ${isCompareSelected ? 'compare-selected' : ''} ${isSearchMatch ? 'search-match' : ''} ${isDragging ? 'dragging-node' : ''} ${filterClass} ${heatClass} ${color ? 'has-color' : ''} ${isCanonical ? 'canonical-node' : ''}"
                         data-uuid="${node.id}"
-                        data-name="${node.name}"
-                        title="${node.name}${msgCount ? ` (Branch at msg ${msgCount})` : ''}">
+                        data-name="${escape(node.name)}"
+                        style="left: ${position.x}px; top: ${position.y}px; width: ${nodeWidth}px; height: ${nodeHeight}px;${color ? ` --node-color: ${color};` : ''}"
+                        role="treeitem"
+                        tabindex="${isFocusTarget ? 0 : -1}"
+                        aria-level="${position.depth + 1}"
+                        aria-posinset="${siblings.indexOf(node) + 1}"
+                        aria-setsize="${siblings.length}"
+                        aria-selected="${isFocusTarget}"
+                        ${hasChildren ? `aria-expanded="${isExpanded}"` : ''}
+                        ${isActive ? 'aria-current="true"' : ''}
+                        aria-label="${escape(ariaLabel)}">
                         
                         <div class="node-content">
-                            <span class="node-icon"><i class="fa-solid fa-message"></i></span>
+                            <span class="node-icon" aria-hidden="true"><i class="fa-solid fa-message"></i></span>
                             ${isRenaming ? this.renderRenameInput(node) : `
-                                <span class="node-label">${displayLabel}</span>
-                                <span class="rename-icon" data-uuid="${node.id}" title="Rename chat">
+                                <span class="node-label">${escape(displayLabel)}</span>
+                                <span class="rename-icon" data-uuid="${node.id}" title="Rename chat (F2)" aria-hidden="true">
                                     <i class="fa-solid fa-pencil"></i>
                                 </span>
                             `}
                         </div>
 
+                        ${tags.length ? `
+                            <div class="node-tags" aria-hidden="true">
+                                ${tags.slice(0, MAX_NODE_TAG_CHIPS).map(tag => `<span class="node-tag" style="--tag-hue: ${getTagHue(tag)};" title="${escape(tag)}">${escape(tag)}</span>`).join('')}
+                                ${tags.length > MAX_NODE_TAG_CHIPS ? `<span class="node-tag more" title="${escape(tags.slice(MAX_NODE_TAG_CHIPS).join(', '))}">+${tags.length - MAX_NODE_TAG_CHIPS}</span>` : ''}
+                            </div>
+                        ` : ''}
+
+                        <div class="node-badges" aria-hidden="true">
+                            ${node.data.favorite ? '<span class="node-badge node-favorite-badge" title="Favorite"><i class="fa-solid fa-heart"></i></span>' : ''}
+                            ${rating ? `<span class="node-badge node-rating-badge" title="Rated ${rating} of ${MAX_RATING}"><i class="fa-solid fa-star"></i>${rating}</span>` : ''}
+                            ${node.data.note ? `<span class="node-badge node-note-badge" title="${escape(node.data.note)}"><i class="fa-solid fa-note-sticky"></i></span>` : ''}
+                            ${hasMessageCount ? `<span class="node-badge" title="${messageCount} messages"><i class="fa-solid fa-message"></i>${messageCount}</span>` : ''}
+                            ${lastActivity ? `<span class="node-badge" title="Last activity: ${MessageViewerPopup.formatTimestamp(lastActivity)}"><i class="fa-regular fa-clock"></i>${formatAge(lastActivity)}</span>` : ''}
+                        </div>
+
                         ${hasChildren ? `
-                            <div class="expand-toggle ${isExpanded ? 'open' : ''}">
+                            <div class="expand-toggle ${isExpanded ? 'open' : ''}" aria-hidden="true">
                                 <i class="fa-solid ${isExpanded ? 'fa-minus' : 'fa-plus'}"></i>
                             </div>
                         ` : ''}
                     </div>
-                </div>
-
-                ${(hasChildren && isExpanded) ? `
-                    <div class="tree-children">
-                        ${node.children.map(child => this.renderNodeRecursive(child, level + 1)).join('')}
-                    </div>
-                ` : ''}
-            </div>
         `;
     }
 
-    drawLines() {
-        const $svg = $('#chat_tree_lines');
-        const $wrapper = $('.family-tree-wrapper');
-        
-        $svg.attr('width', $wrapper[0].scrollWidth);
-        $svg.attr('height', $wrapper[0].scrollHeight);
-        $svg.empty();
-
-        $('.tree-node').each((_, el) => {
-            const $node = $(el);
-            const $parentBranch = $node.closest('.tree-branch');
-            const $childrenContainer = $parentBranch.children('.tree-children');
+    /**
+     * Draw the connector lines and folded chain labels inside a rectangle from the layout
+     * @param {{left: number, top: number, right: number, bottom: number}} [rect] - Defaults to the viewport
+     */
+    drawLines(rect = this.getViewportRect()) {
+        const { path, foldedPath, highlightPath, folds } = this.layout.getEdgesInRect(rect, this.canonicalIds);
+        $('#chat_tree_lines .tree-edges').attr('d', path);
+        $('#chat_tree_lines .tree-folded-edges').attr('d', foldedPath);
+        $('#chat_tree_lines .tree-canonical-edges').attr('d', highlightPath);
+
+        // Few enough to rebuild on every scroll
+        $('#chat_tree_content .family-tree-folds').html(folds.map(({ node, folded, x, y }) => `
+            <div class="tree-fold-label" data-uuid="${node.id}" style="left: ${x}px; top: ${y}px;"
+                title="Show ${folded.length} hidden branches">+${folded.length} branches</div>
+        `).join(''));
+    }
 
-            if ($childrenContainer.length > 0 && $childrenContainer.is(':visible')) {
-                const startRect = $node.offset();
-                const containerRect = $wrapper.offset();
+    /**
+     * Expand or collapse one node, keeping it at the same place on screen
+     * @param {string} uuid - Node UUID
+     */
+    toggleNode(uuid) {
+        if (this.expandedUUIDs.has(uuid)) {
+            this.expandedUUIDs.delete(uuid);
+        } else {
+            this.expandedUUIDs.add(uuid);
+        }
 
-                const x1 = (startRect.left - containerRect.left) + ($node.outerWidth() / 2) + $wrapper.scrollLeft();
-                const y1 = (startRect.top - containerRect.top) + $node.outerHeight() + $wrapper.scrollTop();
+        const container = document.getElementById('chat_tree_content');
+        const before = this.layout.positions.get(uuid);
+        const beforeX = before?.x;
+        const beforeY = before?.y;
 
-                $childrenContainer.children('.tree-branch').each((_, childBranch) => {
-                    const $childNode = $(childBranch).children('.tree-entry').children('.tree-node');
-                    const childRect = $childNode.offset();
+        this.relayout();
 
-                    const x2 = (childRect.left - containerRect.left) + ($childNode.outerWidth() / 2) + $wrapper.scrollLeft();
-                    const y2 = (childRect.top - containerRect.top) + $wrapper.scrollTop();
+        // Centering on the children moves the node, scroll along with it
+        const after = this.layout.positions.get(uuid);
+        if (container && before && after) {
+            container.scrollLeft += (after.x - beforeX) * this.zoom;
+            container.scrollTop += (after.y - beforeY) * this.zoom;
+        }
 
-                    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                    const cY = (y1 + y2) / 2;
-                    
-                    path.setAttribute('d', `M${x1},${y1} C${x1},${cY} ${x2},${cY} ${x2},${y2}`);
-                    path.setAttribute('stroke', '#666');
-                    path.setAttribute('fill', 'none');
-                    path.setAttribute('stroke-width', '2');
-                    
-                    $svg.append(path);
-                });
-            }
-        });
+        // Only the toggled node's card changes, the others are moved by renderViewport
+        const hadFocus = document.activeElement === this.renderedNodes.get(uuid);
+        this.renderedNodes.get(uuid)?.remove();
+        this.renderedNodes.delete(uuid);
+        this.renderViewport();
+        if (hadFocus) this.focusNode(uuid);
     }
 
     renderRenameInput(node) {
@@ -433,7 +968,7 @@ export class ChatTreeView {
             <div class="rename-input-container">
                 <input type="text"
                     class="rename-input"
-                    value="${node.name}"
+                    value="${MessageViewerPopup.escapeHtml(node.name)}"
                     data-uuid="${node.id}"
                     maxlength="255"
                     placeholder="Enter new name"
@@ -460,9 +995,18 @@ export class ChatTreeView {
 
         // Bind panning first
         this.bindPanning();
+        this.bindZoom();
+        this.bindKeyboard();
+        this.bindPreview();
+        this.bindDragAndDrop();
+
+        // Materialize nodes as they scroll into view
+        $('#chat_tree_content').on('scroll.chatTreeVirtual', () => this.scheduleViewportRender());
 
         // Use event delegation and remove old handlers first
         $('#chat_tree_content').off('click.expandToggle', '.expand-toggle')
+                            .off('click.treeNodeCompare', '.tree-node')
+                            .off('click.treeFold', '.tree-fold-label')
                             .off('dblclick.treeNodeDblclick', '.tree-node')
                             .off('contextmenu.chatTree')
                             .off('click.renameIcon', '.rename-icon')
@@ -473,15 +1017,19 @@ export class ChatTreeView {
         
         $('#chat_tree_content').on('click.expandToggle', '.expand-toggle', function(e) {
             e.stopPropagation();
-            const uuid = $(this).closest('.tree-node').data('uuid');
-            
-            if (self.expandedUUIDs.has(uuid)) {
-                self.expandedUUIDs.delete(uuid);
-            } else {
-                self.expandedUUIDs.add(uuid);
-            }
-            
-            self.render();
+            self.toggleNode($(this).closest('.tree-node').data('uuid'));
+        });
+
+        $('#chat_tree_content').on('click.treeFold', '.tree-fold-label', function(e) {
+            e.stopPropagation();
+            self.unfoldChain($(this).data('uuid'));
+        });
+
+        // Ctrl/Cmd+click picks nodes for comparison
+        $('#chat_tree_content').on('click.treeNodeCompare', '.tree-node', function(e) {
+            if (!(e.ctrlKey || e.metaKey) || self.isRenaming) return;
+            e.stopPropagation();
+            self.selectForCompare(self.nodeMap.get($(this).data('uuid')));
         });
 
         $('#chat_tree_content').on('dblclick.treeNodeDblclick', '.tree-node', async function(e) {
@@ -509,15 +1057,17 @@ export class ChatTreeView {
         });
 
         // Handle rename input interactions
-        $('#chat_tree_content').on('keydown.renameInput', '.rename-input', function(e) {
+        $('#chat_tree_content').on('keydown.renameInput', '.rename-input', async function(e) {
+            const uuid = $(this).data('uuid');
             if (e.key === 'Enter') {
                 e.preventDefault();
-                const uuid = $(this).data('uuid');
                 const newName = $(this).val().trim();
-                self.confirmRename(uuid, newName);
+                await self.confirmRename(uuid, newName);
+                self.focusNode(uuid);
             } else if (e.key === 'Escape') {
                 e.preventDefault();
                 self.cancelRename();
+                self.focusNode(uuid);
             }
         });
 
@@ -561,9 +1111,7 @@ export class ChatTreeView {
                     
                     // Find the full node object from nodeMap
                     self.contextMenuNode = self.nodeMap.get(uuid) || { uuid, name };
-                    self.contextMenu.show(touch.clientX, touch.clientY, [
-                        { id: 'view-messages', label: 'View Messages', icon: 'fa-solid fa-comments' }
-                    ]);
+                    self.contextMenu.show(touch.clientX, touch.clientY, self.getNodeMenuOptions(self.contextMenuNode));
                 }, LONG_PRESS_DURATION);
             }
         });
@@ -571,17 +1119,13 @@ export class ChatTreeView {
         // Long-press detection for blank space
         $('#chat_tree_content').on('touchstart.chatTreeBlank', function(e) {
             // Only trigger if not clicking on a tree node or expand toggle
-            if (e.touches.length === 1 && $(e.target).closest('.tree-node, .expand-toggle, .context-menu-option').length === 0) {
+            if (e.touches.length === 1 && $(e.target).closest('.tree-node, .expand-toggle, .tree-fold-label, .context-menu-option').length === 0) {
                 const touch = e.originalEvent.touches[0];
                 // Start long-press timer
                 longPressTimer = setTimeout(() => {
                     // Show blank area context menu
                     self.contextMenuNode = null;
-                    self.contextMenu.show(touch.clientX, touch.clientY, [
-                        { id: 'expand-all', label: 'Expand All Nodes', icon: 'fa-solid fa-expand' },
-                        { id: 'collapse-all', label: 'Collapse All Nodes', icon: 'fa-solid fa-compress' },
-                        { id: 'find-current', label: 'Find Current Node', icon: 'fa-solid fa-crosshairs' }
-                    ]);
+                    self.contextMenu.show(touch.clientX, touch.clientY, self.getCanvasMenuOptions());
                 }, LONG_PRESS_DURATION);
             }
         });
@@ -622,34 +1166,75 @@ export class ChatTreeView {
                 const name = $treeNode.data('name');
                 // Find the full node object from nodeMap
                 self.contextMenuNode = self.nodeMap.get(uuid) || { uuid, name };
-                self.contextMenu.show(e.clientX, e.clientY, [
-                    { id: 'view-messages', label: 'View Messages', icon: 'fa-solid fa-comments' }
-                ]);
+                self.contextMenu.show(e.clientX, e.clientY, self.getNodeMenuOptions(self.contextMenuNode));
                 return;
             }
             
             // Only show empty area menu if not clicking on interactive elements
             if ($(e.target).closest('.tree-node, .expand-toggle').length === 0) {
-                self.contextMenu.show(e.clientX, e.clientY, [
-                    { id: 'expand-all', label: 'Expand All Nodes', icon: 'fa-solid fa-expand' },
-                    { id: 'collapse-all', label: 'Collapse All Nodes', icon: 'fa-solid fa-compress' },
-                    { id: 'find-current', label: 'Find Current Node', icon: 'fa-solid fa-crosshairs' }
-                ]);
+                self.contextMenu.show(e.clientX, e.clientY, self.getCanvasMenuOptions());
             }
         });
     }
 
+    /**
+     * Context menu options for the empty canvas
+     * @returns {Array<{id: string, label: string, icon?: string}>}
+     */
+    getCanvasMenuOptions() {
+        return [
+            { id: 'expand-all', label: 'Expand All Nodes', icon: 'fa-solid fa-expand' },
+            { id: 'collapse-all', label: 'Collapse All Nodes', icon: 'fa-solid fa-compress' },
+            { id: 'find-current', label: 'Find Current Node', icon: 'fa-solid fa-crosshairs' },
+            { id: 'suggest-names', label: 'Suggest Names...', icon: 'fa-solid fa-wand-magic-sparkles' }
+        ];
+    }
+
+    /**
+     * Context menu options for a tree node
+     * @param {Object} node - Internal tree node
+     * @returns {Array<{id: string, label: string, icon?: string}>}
+     */
+    getNodeMenuOptions(node) {
+        const options = [
+            { id: 'view-messages', label: 'View Messages', icon: 'fa-solid fa-comments' }
+        ];
+        if (!this.compareSelection) {
+            options.push({ id: 'compare-select', label: 'Select for Compare', icon: 'fa-solid fa-code-compare' });
+        } else if (this.compareSelection === node?.id) {
+            options.push({ id: 'compare-clear', label: 'Cancel Compare', icon: 'fa-solid fa-xmark' });
+        } else {
+            const firstName = this.nodeMap.get(this.compareSelection)?.name || '';
+            const shortName = firstName.length > 20 ? firstName.substring(0, 20) + '...' : firstName;
+            options.push({ id: 'compare-with', label: `Compare with "${shortName}"`, icon: 'fa-solid fa-code-compare' });
+        }
+        options.push({ id: 'edit-tags', label: 'Tags & Color...', icon: 'fa-solid fa-tags' });
+        options.push({ id: 'edit-note', label: node?.data?.note ? 'Edit Note...' : 'Add Note...', icon: 'fa-solid fa-note-sticky' });
+        options.push({ id: 'toggle-favorite', label: node?.data?.favorite ? 'Remove from Favorites' : 'Add to Favorites', icon: 'fa-solid fa-heart' });
+        options.push({ id: 'rate-branch', label: 'Rate...', icon: 'fa-solid fa-star' });
+        if (node?.parent && node.parent.data.canonical_child === node.id && node.parent.children.length > 1) {
+            options.push({ id: 'unmark-canonical', label: 'Unmark Canonical', icon: 'fa-regular fa-flag' });
+        } else if (node && !this.canonicalIds.has(node.id) && getForkChoices(node).length) {
+            options.push({ id: 'mark-canonical', label: 'Mark as Canonical', icon: 'fa-solid fa-flag-checkered' });
+        }
+        if (node?.parentId) {
+            options.push({ id: 'promote-root', label: 'Make Root', icon: 'fa-solid fa-arrow-up-from-bracket' });
+        }
+        options.push({ id: 'delete-branch', label: 'Delete Branch', icon: 'fa-solid fa-trash-can' });
+        return options;
+    }
+
     async swapChat(chatName) {
         this.isSwappingChat = true;
         
         try {
-            await this.openCharacterChat(chatName);
+            await this.chatFiles.openChat(chatName);
             
             // Wait a moment for SillyTavern to fully load the chat and update chat_metadata
             await new Promise(resolve => setTimeout(resolve, 100));
             
             // Update our state from the newly loaded chat
-            this.currentChatFile = String(this.characters[this.this_chid]?.chat || chatName);
+            this.currentChatFile = String(this.chatFiles.getCurrentChatName() || chatName);
             this.currentChatUUID = this.chat_metadata?.uuid || null;
             
             console.log('[Chat Branches] Swapped to chat:', this.currentChatFile, 'UUID:', this.currentChatUUID);
@@ -666,64 +1251,779 @@ export class ChatTreeView {
     }
 
     centerOnActive() {
-        const $active = $('.active-node');
-        const $container = $('#chat_tree_content');
-        
-        if ($active.length && $container.length) {
-            const activeOffset = $active.offset();
-            const containerOffset = $container.offset();
-            
-            $container.scrollTop(
-                $container.scrollTop() + (activeOffset.top - containerOffset.top) - ($container.height() / 2) + ($active.height() / 2)
-            );
-            $container.scrollLeft(
-                $container.scrollLeft() + (activeOffset.left - containerOffset.left) - ($container.width() / 2) + ($active.width() / 2)
-            );
-        }
-    }
-
-    expandAllNodes() {
-        // Add all node IDs with children to expanded set
-        for (const node of this.nodeMap.values()) {
-            if (node.children && node.children.length > 0) {
-                this.expandedUUIDs.add(node.id);
-            }
-        }
-        this.render();
-        this.drawLines();
-    }
+        const container = document.getElementById('chat_tree_content');
+        const position = this.currentNode && this.layout.positions.get(this.currentNode.id);
+        if (!container || !position) return;
 
-    collapseAllNodes() {
-        // Clear all expanded nodes
-        this.expandedUUIDs.clear();
-        this.render();
-        this.drawLines();
+        const { nodeWidth, nodeHeight } = this.layout.sizes;
+        this.scrollToLayoutPoint(position.x + nodeWidth / 2, position.y + nodeHeight / 2);
     }
 
     // =========================================================================
-    // RENAME FUNCTIONALITY
+    // KEYBOARD NAVIGATION
     // =========================================================================
 
-    startRename(uuid) {
-        const node = this.nodeMap.get(uuid);
-        if (!node) return;
+    /**
+     * Node holding the tab stop: the last focused one, else the current chat, else the first
+     * @returns {string|null} UUID of a laid out node
+     */
+    getRovingUUID() {
+        if (this.focusedUUID && this.layout.positions.has(this.focusedUUID)) return this.focusedUUID;
+        if (this.currentNode && this.layout.positions.has(this.currentNode.id)) return this.currentNode.id;
+        return this.layout.order[0]?.id || null;
+    }
 
-        this.isRenaming = true;
-        this.renameNode = node;
-        this.render(); // Re-render to show input field
+    /**
+     * Move the roving tabindex and keyboard focus to a node, scrolling it into view
+     * @param {string} uuid - Node UUID
+     */
+    focusNode(uuid) {
+        if (!uuid || !this.layout.positions.has(uuid)) return;
 
-        // Focus and select the input
-        setTimeout(() => {
-            const $input = $(`.rename-input[data-uuid="${uuid}"]`);
-            $input.focus();
-            $input.select();
-        }, 50);
+        this.setRovingNode(uuid);
+        this.scrollNodeIntoView(uuid);
+        this.renderViewport(); // Materializes the node if it was out of view
+        this.renderedNodes.get(uuid)?.focus({ preventScroll: true });
     }
 
-    async confirmRename(uuid, newName) {
-        if (!this.isRenaming || !this.renameNode) return;
+    setRovingNode(uuid) {
+        const previous = this.renderedNodes.get(this.getRovingUUID());
+        $(previous).attr({ tabindex: -1, 'aria-selected': 'false' });
+        this.focusedUUID = uuid;
+        $(this.renderedNodes.get(uuid)).attr({ tabindex: 0, 'aria-selected': 'true' });
+    }
 
-        const node = this.nodeMap.get(uuid);
+    /**
+     * Scroll just enough to show a node
+     * @param {string} uuid - Node UUID
+     */
+    scrollNodeIntoView(uuid) {
+        const container = document.getElementById('chat_tree_content');
+        const position = this.layout.positions.get(uuid);
+        if (!container || !position) return;
+
+        const MARGIN = 20;
+        const { nodeWidth, nodeHeight } = this.layout.sizes;
+        const left = position.x * this.zoom;
+        const top = position.y * this.zoom;
+        const right = (position.x + nodeWidth) * this.zoom;
+        const bottom = (position.y + nodeHeight) * this.zoom;
+
+        if (left < container.scrollLeft) {
+            container.scrollLeft = left - MARGIN;
+        } else if (right > container.scrollLeft + container.clientWidth) {
+            container.scrollLeft = right - container.clientWidth + MARGIN;
+        }
+        if (top < container.scrollTop) {
+            container.scrollTop = top - MARGIN;
+        } else if (bottom > container.scrollTop + container.clientHeight) {
+            container.scrollTop = bottom - container.clientHeight + MARGIN;
+        }
+    }
+
+    /**
+     * Tree keys on the focused node (WAI-ARIA tree pattern)
+     * Up/Down: previous/next visible node, Right: expand or first child,
+     * Left: collapse or parent, Home/End, Enter: open, F2: rename,
+     * Context menu key or Shift+F10: node menu
+     */
+    bindKeyboard() {
+        const $c = $('#chat_tree_content');
+
+        $c.on('focusin.chatTreeKeys', '.tree-node', (e) => {
+            if (e.target === e.currentTarget) this.setRovingNode($(e.currentTarget).data('uuid'));
+        });
+
+        $c.on('keydown.chatTreeKeys', '.tree-node', (e) => {
+            if (e.target !== e.currentTarget || this.isRenaming) return; // Keys typed in the rename input
+
+            const node = this.nodeMap.get($(e.currentTarget).data('uuid'));
+            if (!node) return;
+
+            const order = this.layout.order;
+            const index = order.indexOf(node);
+            const hasChildren = node.children?.length > 0;
+            const isExpanded = this.expandedUUIDs.has(node.id);
+            let target = null;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    target = order[index + 1];
+                    break;
+                case 'ArrowUp':
+                    target = order[index - 1];
+                    break;
+                case 'ArrowRight':
+                    if (hasChildren && !isExpanded) {
+                        this.toggleNode(node.id);
+                    } else if (hasChildren) {
+                        target = this.layout.shownChildren.get(node.id)?.[0];
+                    }
+                    break;
+                case 'ArrowLeft':
+                    if (hasChildren && isExpanded) {
+                        this.toggleNode(node.id);
+                    } else {
+                        target = this.layout.parents.get(node.id);
+                    }
+                    break;
+                case 'Home':
+                    target = order[0];
+                    break;
+                case 'End':
+                    target = order[order.length - 1];
+                    break;
+                case 'Enter':
+                    this.openFocusedChat(node);
+                    break;
+                case 'F2':
+                    this.startRename(node.id);
+                    break;
+                case 'ContextMenu':
+                    this.showNodeMenuAt(node, e.currentTarget);
+                    break;
+                default:
+                    if (e.key === 'F10' && e.shiftKey) {
+                        this.showNodeMenuAt(node, e.currentTarget);
+                        break;
+                    }
+                    return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            if (target) this.focusNode(target.id);
+        });
+    }
+
+    /**
+     * Open the chat of the focused node and keep focus on it afterwards
+     * @param {Object} node - View node
+     */
+    async openFocusedChat(node) {
+        if (this.isSwappingChat || node.name === this.currentChatFile) return;
+
+        $(this.renderedNodes.get(node.id)).addClass('loading-node');
+        await this.swapChat(node.name);
+        this.focusNode(node.id);
+    }
+
+    /**
+     * Open the node menu below a node card, for keyboard users
+     * @param {Object} node - View node
+     * @param {HTMLElement} element - Node card
+     */
+    showNodeMenuAt(node, element) {
+        const rect = element.getBoundingClientRect();
+        this.contextMenuNode = node;
+        this.contextMenu.show(rect.left, rect.bottom + 4, this.getNodeMenuOptions(node));
+    }
+
+    // =========================================================================
+    // PREVIEW CARDS
+    // =========================================================================
+
+    /**
+     * Show a node's preview card after hovering it or keeping keyboard focus on it
+     */
+    bindPreview() {
+        const $c = $('#chat_tree_content');
+
+        $c.on('touchstart.chatTreePreview', () => {
+            this.lastTouchTime = Date.now();
+            this.cancelPreview();
+        });
+
+        $c.on('mouseenter.chatTreePreview', '.tree-node', (e) => {
+            if (Date.now() - this.lastTouchTime < 1000) return;
+            this.schedulePreview(e.currentTarget, PREVIEW_HOVER_DELAY);
+        });
+
+        $c.on('focusin.chatTreePreview', '.tree-node', (e) => {
+            if (e.target === e.currentTarget) this.schedulePreview(e.currentTarget, PREVIEW_FOCUS_DELAY);
+        });
+
+        $c.on('mouseleave.chatTreePreview focusout.chatTreePreview', '.tree-node', () => this.cancelPreview());
+        $c.on('mousedown.chatTreePreview contextmenu.chatTreePreview scroll.chatTreePreview', () => this.cancelPreview());
+        $c.on('keydown.chatTreePreview', (e) => {
+            if (e.key === 'Escape') this.cancelPreview();
+        });
+    }
+
+    /**
+     * @param {HTMLElement} element - Node card
+     * @param {number} delay - ms before the preview shows
+     */
+    schedulePreview(element, delay) {
+        this.cancelPreview();
+        if (this.isPanning || this.dragState?.$ghost || this.isRenaming) return;
+
+        this.previewTimer = setTimeout(() => {
+            const node = this.nodeMap.get($(element).data('uuid'));
+            if (node && element.isConnected) this.previewCard.show(node, element);
+        }, delay);
+    }
+
+    cancelPreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = null;
+        this.previewCard.hide();
+    }
+
+    // =========================================================================
+    // ZOOM & MINIMAP
+    // =========================================================================
+
+    /**
+     * Scale the canvas, keeping the point under an anchor in place
+     * @param {number} zoom - New scale, clamped to ZOOM_LIMITS
+     * @param {{x: number, y: number}} [anchor] - Point relative to the canvas container, defaults to its center
+     */
+    setZoom(zoom, anchor) {
+        const container = document.getElementById('chat_tree_content');
+        if (!container) return;
+
+        const anchorX = anchor ? anchor.x : container.clientWidth / 2;
+        const anchorY = anchor ? anchor.y : container.clientHeight / 2;
+        const layoutX = (container.scrollLeft + anchorX) / this.zoom;
+        const layoutY = (container.scrollTop + anchorY) / this.zoom;
+
+        this.zoom = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, zoom));
+        this.applyZoom();
+
+        container.scrollLeft = layoutX * this.zoom - anchorX;
+        container.scrollTop = layoutY * this.zoom - anchorY;
+        this.renderViewport();
+    }
+
+    applyZoom() {
+        $('#chat_tree_content .family-tree-wrapper').css({
+            width: this.layout.width * this.zoom,
+            height: this.layout.height * this.zoom
+        });
+        $('#chat_tree_content .family-tree-canvas').css('transform', `scale(${this.zoom})`);
+        $('#chat_tree_zoom_level').text(`${Math.round(this.zoom * 100)}%`);
+    }
+
+    /**
+     * Zoom out until the whole tree fits, never zooming in past 100%
+     */
+    zoomToFit() {
+        const container = document.getElementById('chat_tree_content');
+        if (!container || !this.layout.width) return;
+
+        this.setZoom(Math.min(1, container.clientWidth / this.layout.width, container.clientHeight / this.layout.height));
+        this.scrollToLayoutPoint(this.layout.width / 2, this.layout.height / 2);
+    }
+
+    zoomToCurrent() {
+        this.setZoom(Math.max(1, this.zoom));
+        this.centerOnActive();
+    }
+
+    /**
+     * Scroll so a layout point is in the middle of the view
+     * @param {number} x - Layout x
+     * @param {number} y - Layout y
+     */
+    scrollToLayoutPoint(x, y) {
+        const container = document.getElementById('chat_tree_content');
+        if (!container) return;
+
+        container.scrollLeft = x * this.zoom - container.clientWidth / 2;
+        container.scrollTop = y * this.zoom - container.clientHeight / 2;
+        this.renderViewport();
+    }
+
+    updateMinimapViewport() {
+        const container = document.getElementById('chat_tree_content');
+        if (!container) return;
+
+        this.minimap.setViewport({
+            left: container.scrollLeft / this.zoom,
+            top: container.scrollTop / this.zoom,
+            width: container.clientWidth / this.zoom,
+            height: container.clientHeight / this.zoom
+        });
+    }
+
+    toggleMinimap() {
+        this.settings.treeMinimap = !this.isMinimapShown();
+        this.saveSettings();
+        this.minimap.setVisible(this.isMinimapShown());
+        $('#chat_tree_minimap_toggle').toggleClass('active', this.isMinimapShown());
+    }
+
+    isMinimapShown() {
+        return this.settings?.treeMinimap !== false;
+    }
+
+    /**
+     * Ctrl+wheel (and trackpad pinch, which browsers report the same way) and
+     * two-finger pinch zoom around the pointer
+     */
+    bindZoom() {
+        const $c = $('#chat_tree_content');
+        const container = $c[0];
+
+        $c.on('wheel.chatTreeZoom', e => {
+            const event = e.originalEvent;
+            if (!(event.ctrlKey || event.metaKey)) return;
+            e.preventDefault();
+
+            const rect = container.getBoundingClientRect();
+            const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY; // Lines to px
+            this.setZoom(this.zoom * Math.exp(-delta * 0.002), { x: event.clientX - rect.left, y: event.clientY - rect.top });
+        });
+
+        const getPinch = touches => {
+            const rect = container.getBoundingClientRect();
+            const [a, b] = touches;
+            return {
+                distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+                center: { x: (a.clientX + b.clientX) / 2 - rect.left, y: (a.clientY + b.clientY) / 2 - rect.top }
+            };
+        };
+
+        $c.on('touchstart.chatTreeZoom', e => {
+            const touches = e.originalEvent.touches;
+            if (touches.length !== 2) return;
+            this.clearLongPressTimer?.();
+            this.pinch = { distance: getPinch(touches).distance, zoom: this.zoom };
+        });
+
+        $c.on('touchmove.chatTreeZoom', e => {
+            const touches = e.originalEvent.touches;
+            if (!this.pinch || touches.length !== 2) return;
+            e.preventDefault();
+
+            const { distance, center } = getPinch(touches);
+            if (this.pinch.distance > 0) this.setZoom(this.pinch.zoom * distance / this.pinch.distance, center);
+        });
+
+        $c.on('touchend.chatTreeZoom touchcancel.chatTreeZoom', e => {
+            if (e.originalEvent.touches.length < 2) this.pinch = null;
+        });
+    }
+
+    expandAllNodes() {
+        // Add all node IDs with children to expanded set
+        for (const node of this.nodeMap.values()) {
+            if (node.children && node.children.length > 0) {
+                this.expandedUUIDs.add(node.id);
+            }
+        }
+        this.render();
+    }
+
+    collapseAllNodes() {
+        // Clear all expanded nodes
+        this.expandedUUIDs.clear();
+        this.render();
+    }
+
+    // =========================================================================
+    // ACTIVITY
+    // =========================================================================
+
+    /**
+     * Most recent activity known for a branch: recorded by the extension,
+     * from the chat list, or its creation
+     * @param {Object} node - View node
+     * @returns {number|null} Timestamp in ms
+     */
+    getLastActivity(node) {
+        const times = [
+            node.data.last_activity,
+            this.lastActivity.get(node.name),
+            node.data.created_at ? new Date(node.data.created_at).getTime() : null
+        ].filter(Number.isFinite);
+        return times.length ? Math.max(...times) : null;
+    }
+
+    /**
+     * Message count of a branch: from the chat list, which reads the chat file,
+     * or as recorded by the extension until the list arrives
+     * @param {Object} node - View node
+     * @returns {number|null}
+     */
+    getMessageCount(node) {
+        const count = this.messageCounts.get(node.name) ?? node.data.message_count;
+        return Number.isFinite(count) ? count : null;
+    }
+
+    isHeatmapShown() {
+        return !!this.settings?.treeHeatmap;
+    }
+
+    /**
+     * Color nodes by how recently their chat was active
+     */
+    toggleHeatmap() {
+        this.settings.treeHeatmap = !this.isHeatmapShown();
+        this.saveSettings();
+        $('#chat_tree_heatmap').toggleClass('active', this.isHeatmapShown());
+        if (this.treeRoots.length) this.render();
+    }
+
+    // =========================================================================
+    // TAGS & COLORS
+    // =========================================================================
+
+    /**
+     * Every tag used in the loaded trees, for suggestions
+     * @returns {string[]} Sorted tag names
+     */
+    getAllTags() {
+        const tags = new Set();
+        for (const node of this.nodeMap.values()) {
+            (node.data.tags || []).forEach(tag => tags.add(tag));
+        }
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Edit the tags and border color of a branch
+     * @param {Object} node - View node
+     */
+    async editTags(node) {
+        if (!node) return;
+
+        const escape = MessageViewerPopup.escapeHtml;
+        const color = BRANCH_COLOR_PATTERN.test(node.data.color || '') ? node.data.color : null;
+        const suggestions = this.getAllTags();
+
+        const content = $(`
+            <div class="chat-tree-tags-dialog">
+                <h3>Tags for "${escape(node.name)}"</h3>
+                <input type="text" class="text_pole chat-tree-tags-input" placeholder="canon, what-if, abandoned" autocomplete="off" spellcheck="false">
+                <small>Separate tags with commas. Filter with tag:name, tag:any or tag:none.</small>
+                ${suggestions.length ? `
+                    <div class="chat-tree-tags-suggestions">
+                        ${suggestions.map(tag => `<span class="node-tag" style="--tag-hue: ${getTagHue(tag)};" data-tag="${escape(tag)}" title="Add ${escape(tag)}">${escape(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                <label class="checkbox_label">
+                    <input type="checkbox" class="chat-tree-color-enabled" ${color ? 'checked' : ''}>
+                    <span>Border color</span>
+                    <input type="color" class="chat-tree-color-input" value="${color || '#4a9eff'}">
+                </label>
+            </div>
+        `);
+        const $input = content.find('.chat-tree-tags-input').val((node.data.tags || []).join(', '));
+
+        content.find('.chat-tree-tags-suggestions').on('click', '.node-tag', (e) => {
+            const tag = String($(e.currentTarget).data('tag'));
+            const current = String($input.val()).split(',').map(item => item.trim()).filter(Boolean);
+            if (!current.some(item => item.toLowerCase() === tag.toLowerCase())) current.push(tag);
+            $input.val(current.join(', '));
+        });
+        content.find('.chat-tree-color-input').on('input', () => {
+            content.find('.chat-tree-color-enabled').prop('checked', true);
+        });
+
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Save',
+            cancelButton: 'Cancel'
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const tags = BranchCreateDialog.parseTags($input.val());
+        const newColor = content.find('.chat-tree-color-enabled').is(':checked')
+            ? String(content.find('.chat-tree-color-input').val())
+            : null;
+        const updates = { tags, color: BRANCH_COLOR_PATTERN.test(newColor || '') ? newColor : null };
+
+        try {
+            await this.moveHandler.write('updateBranch', node.id, updates);
+            Object.assign(node.data, updates);
+            this.render();
+        } catch (error) {
+            console.error('[Chat Branches] Could not save tags:', error);
+            toastr.error('Failed to save tags');
+            return;
+        }
+
+        // Storage backends may drop fields they do not know, the chat file keeps a copy for Rebuild Storage
+        await this.moveHandler.updateMetadataSafely(node.name, {
+            branch_tags: tags.length ? tags : undefined,
+            branch_color: updates.color || undefined
+        });
+    }
+
+    // =========================================================================
+    // NOTES
+    // =========================================================================
+
+    /**
+     * Edit the free-text note of a branch
+     * Also written to the chat file metadata so Rebuild Storage restores it.
+     * @param {Object} node - View node
+     */
+    async editNote(node) {
+        if (!node) return;
+
+        const content = $(`
+            <div class="chat-tree-note-dialog">
+                <h3>Note for "${MessageViewerPopup.escapeHtml(node.name)}"</h3>
+                <textarea class="text_pole chat-tree-note-input" rows="5" maxlength="${MAX_NOTE_LENGTH}" placeholder="What happens in this branch?"></textarea>
+                <small>Shown in the preview and message viewer. Filter with note:text, note:any or note:none.</small>
+            </div>
+        `);
+        const $input = content.find('.chat-tree-note-input').val(node.data.note || '');
+
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Save',
+            cancelButton: 'Cancel'
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const note = String($input.val()).trim().substring(0, MAX_NOTE_LENGTH) || null;
+        if (note === (node.data.note || null)) return;
+
+        try {
+            await this.moveHandler.write('updateBranch', node.id, { note });
+            node.data.note = note;
+            this.render();
+        } catch (error) {
+            console.error('[Chat Branches] Could not save note:', error);
+            toastr.error('Failed to save note');
+            return;
+        }
+
+        if (!await this.moveHandler.updateMetadataSafely(node.name, { branch_note: note || undefined })) {
+            toastr.warning('The note was saved in the tree but not in the chat file, Rebuild Storage will not restore it', 'Chat Branches');
+        }
+    }
+
+    // =========================================================================
+    // FAVORITES, RATINGS & CANONICAL PATH
+    // =========================================================================
+
+    isSortingByRating() {
+        return !!this.settings?.treeSortByRating;
+    }
+
+    /**
+     * Show the best rated children of every fork first
+     */
+    toggleSortByRating() {
+        this.settings.treeSortByRating = !this.isSortingByRating();
+        this.saveSettings();
+        $('#chat_tree_sort_rating').toggleClass('active', this.isSortingByRating());
+        if (this.treeRoots.length) this.render();
+    }
+
+    /**
+     * Save branch fields to the record and the chat file metadata
+     * @param {Object} node - View node
+     * @param {Object} updates - Record fields
+     * @returns {Promise<boolean>} True if the record was saved
+     */
+    async saveBranchFields(node, updates) {
+        try {
+            await this.moveHandler.write('updateBranch', node.id, updates);
+            Object.assign(node.data, updates);
+        } catch (error) {
+            console.error('[Chat Branches] Could not update branch:', error);
+            toastr.error('Failed to update branch');
+            return false;
+        }
+
+        const metadata = {};
+        for (const [field, value] of Object.entries(updates)) {
+            if (METADATA_FIELDS[field]) metadata[METADATA_FIELDS[field]] = value || undefined;
+        }
+        await this.moveHandler.updateMetadataSafely(node.name, metadata);
+        return true;
+    }
+
+    /**
+     * @param {Object} node - View node
+     */
+    async toggleFavorite(node) {
+        if (!node) return;
+        if (await this.saveBranchFields(node, { favorite: !node.data.favorite })) this.render();
+    }
+
+    /**
+     * Pick a star rating for a branch, picking the current rating again clears it
+     * @param {Object} node - View node
+     */
+    async rateBranch(node) {
+        if (!node) return;
+
+        let rating = node.data.rating || 0;
+        const content = $(`
+            <div class="chat-tree-rating-dialog">
+                <h3>Rate "${MessageViewerPopup.escapeHtml(node.name)}"</h3>
+                <div class="chat-tree-rating-stars">
+                    ${Array.from({ length: MAX_RATING }, (_, i) => `<i class="chat-tree-rating-star fa-star" data-rating="${i + 1}" title="${i + 1} of ${MAX_RATING}"></i>`).join('')}
+                </div>
+                <small>Sort the tree by rating with the sort button in the header.</small>
+            </div>
+        `);
+        const showRating = () => {
+            content.find('.chat-tree-rating-star').each((i, star) => {
+                $(star).toggleClass('fa-solid selected', i < rating).toggleClass('fa-regular', i >= rating);
+            });
+        };
+        content.find('.chat-tree-rating-stars').on('click', '.chat-tree-rating-star', (e) => {
+            const picked = Number($(e.currentTarget).data('rating'));
+            rating = picked === rating ? 0 : picked;
+            showRating();
+        });
+        showRating();
+
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Save',
+            cancelButton: 'Cancel'
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE || rating === (node.data.rating || 0)) return;
+
+        if (await this.saveBranchFields(node, { rating: rating || null })) this.render();
+    }
+
+    /**
+     * Make the path from the root to a node the canonical storyline
+     * Every fork on the way gets the child leading to the node as its canonical child.
+     * If a fork cannot be saved, the forks changed before it are set back.
+     * @param {Object} node - View node
+     */
+    async markCanonical(node) {
+        if (!node) return;
+
+        const changes = getForkChoices(node).filter(({ parent, child }) => parent.data.canonical_child !== child.id);
+        const saved = [];
+        for (const { parent, child } of changes) {
+            const previous = parent.data.canonical_child || null;
+            if (!await this.saveBranchFields(parent, { canonical_child: child.id })) {
+                for (const change of saved.reverse()) {
+                    await this.saveBranchFields(change.parent, { canonical_child: change.previous });
+                }
+                break;
+            }
+            saved.push({ parent, previous });
+        }
+        this.render();
+        this.populateRootManager();
+    }
+
+    /**
+     * End the canonical path at the fork above a node
+     * @param {Object} node - Canonical child of its parent
+     */
+    async unmarkCanonical(node) {
+        if (!node?.parent) return;
+        if (!await this.saveBranchFields(node.parent, { canonical_child: null })) return;
+        this.render();
+        this.populateRootManager();
+    }
+
+    // =========================================================================
+    // CHAIN COMPRESSION
+    // =========================================================================
+
+    isCompressingChains() {
+        return !!this.settings?.treeCompressChains;
+    }
+
+    /**
+     * Turn chain compression on or off, every chain folds again when it is turned on
+     */
+    toggleCompressChains() {
+        this.settings.treeCompressChains = !this.isCompressingChains();
+        this.saveSettings();
+        this.unfoldedUUIDs.clear();
+        $('#chat_tree_compress').toggleClass('active', this.isCompressingChains());
+        if (!this.treeRoots.length) return;
+
+        this.render();
+        this.centerOnActive();
+    }
+
+    /**
+     * Whether a node can be hidden inside a folded edge: it has a single shown
+     * child and is nothing the user needs to see (current chat, match, selection)
+     * @param {Object} node - View node
+     * @returns {boolean}
+     */
+    isFoldable(node) {
+        return node.children?.length === 1 &&
+            this.expandedUUIDs.has(node.id) &&
+            node !== this.currentNode &&
+            !this.unfoldedUUIDs.has(node.id) &&
+            !this.searchMatches.has(node.id) &&
+            !this.treeFilter?.matches(node) &&
+            node.id !== this.compareSelection &&
+            node !== this.renameNode;
+    }
+
+    /**
+     * Fold the single-child run starting at a node, for TreeLayout.compute()
+     * @param {Object} child - View node shown below its parent
+     * @returns {{end: Object, folded: Array}|null} Node shown in its place and the hidden ones
+     */
+    foldChain(child) {
+        const folded = [];
+        let node = child;
+        while (this.isFoldable(node)) {
+            folded.push(node);
+            node = node.children[0];
+        }
+        return folded.length >= MIN_FOLDED_CHAIN ? { end: node, folded } : null;
+    }
+
+    /**
+     * Show the nodes folded above a node, keeping the node at the same place on screen
+     * @param {string} uuid - UUID of the node below the folded edge
+     */
+    unfoldChain(uuid) {
+        const folded = this.layout.folds.get(uuid);
+        if (!folded) return;
+        folded.forEach(node => this.unfoldedUUIDs.add(node.id));
+
+        const container = document.getElementById('chat_tree_content');
+        const before = this.layout.positions.get(uuid);
+        const beforeX = before?.x;
+        const beforeY = before?.y;
+
+        this.render();
+
+        const after = this.layout.positions.get(uuid);
+        if (container && before && after) {
+            container.scrollLeft += (after.x - beforeX) * this.zoom;
+            container.scrollTop += (after.y - beforeY) * this.zoom;
+        }
+    }
+
+    // =========================================================================
+    // RENAME FUNCTIONALITY
+    // =========================================================================
+
+    startRename(uuid) {
+        const node = this.nodeMap.get(uuid);
+        if (!node) return;
+
+        this.isRenaming = true;
+        this.renameNode = node;
+        this.render(); // Re-render to show input field
+
+        // Focus and select the input
+        setTimeout(() => {
+            const $input = $(`.rename-input[data-uuid="${uuid}"]`);
+            $input.focus();
+            $input.select();
+        }, 50);
+    }
+
+    async confirmRename(uuid, newName) {
+        if (!this.isRenaming || !this.renameNode) return;
+
+        const node = this.nodeMap.get(uuid);
         if (!node) return;
 
         // Check if name hasn't changed
@@ -750,7 +2050,7 @@ export class ChatTreeView {
             // Use UUID for active chat detection instead of name (more reliable)
             const wasActiveChat = this.currentChatUUID === uuid;
             
-            // Perform rename (this updates both plugin and file system)
+            // Perform rename (this updates both branch storage and file system)
             await this.renameHandler.performRename(uuid, oldName, newName);
             
             // Clear rename state before reloading
@@ -760,31 +2060,7 @@ export class ChatTreeView {
             // If we renamed the active chat, we need to update state and reload
             if (wasActiveChat) {
                 console.log('[Chat Branches] Renamed active chat from:', oldName, 'to:', newName);
-                
-                console.log('[Chat Branches] Calling openCharacterChat with:', newName);
-                
-                // Reload the chat with the new name to sync SillyTavern's state
-                try {
-                    await this.openCharacterChat(newName);
-                    console.log('[Chat Branches] openCharacterChat completed');
-                } catch (error) {
-                    console.error('[Chat Branches] openCharacterChat failed:', error);
-                }
-                
-                // CRITICAL: Wait for SillyTavern to fully process the chat change
-                // openCharacterChat calls getChat() which loads chat_metadata from the server
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                // NOW update our state from the reloaded data
-                // Use the global chat_metadata which was updated by getChat()
-                this.currentChatFile = String(this.characters[this.this_chid]?.chat || newName);
-                this.currentChatUUID = this.chat_metadata?.uuid || uuid;
-                
-                console.log('[Chat Branches] Final state - currentChatFile:', this.currentChatFile, 'UUID:', this.currentChatUUID);
-                console.log('[Chat Branches] Global chat_metadata.uuid:', this.chat_metadata?.uuid);
-                
-                // Add another delay to ensure plugin has updated the tree
-                await new Promise(resolve => setTimeout(resolve, 200));
+                await this.reopenRenamedChat(uuid, newName);
             }
             
             // Refresh tree after everything is updated
@@ -803,6 +2079,184 @@ export class ChatTreeView {
         }
     }
 
+    /**
+     * Open the active chat again under its new name
+     * @param {string} uuid - UUID of the renamed chat
+     * @param {string} newName - New chat name
+     */
+    async reopenRenamedChat(uuid, newName) {
+        console.log('[Chat Branches] Opening renamed chat:', newName);
+
+        // Reload the chat with the new name to sync SillyTavern's state
+        try {
+            await this.chatFiles.openChat(newName);
+            console.log('[Chat Branches] Renamed chat opened');
+        } catch (error) {
+            console.error('[Chat Branches] Opening renamed chat failed:', error);
+        }
+
+        // CRITICAL: Wait for SillyTavern to fully process the chat change
+        // Opening a chat loads chat_metadata from the server
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        // NOW update our state from the reloaded data
+        // Use the global chat_metadata which was updated by getChat()
+        this.currentChatFile = String(this.chatFiles.getCurrentChatName() || newName);
+        this.currentChatUUID = this.chat_metadata?.uuid || uuid;
+
+        console.log('[Chat Branches] Final state - currentChatFile:', this.currentChatFile, 'UUID:', this.currentChatUUID);
+        console.log('[Chat Branches] Global chat_metadata.uuid:', this.chat_metadata?.uuid);
+
+        // Add another delay to ensure storage has updated the tree
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    // =========================================================================
+    // NAME SUGGESTIONS
+    // =========================================================================
+
+    /**
+     * Suggest content-based names for the timestamp-named chats of the shown
+     * trees and rename the ones the user keeps
+     */
+    async suggestNames() {
+        const nodes = [];
+        const stack = [...this.treeRoots];
+        while (stack.length) {
+            const node = stack.pop();
+            if (BranchNameSuggester.isTimestampName(node.name)) nodes.push(node);
+            stack.push(...node.children);
+        }
+        if (!nodes.length) {
+            toastr.info('No chats with timestamp names in this tree');
+            return;
+        }
+
+        toastr.info(`Reading ${nodes.length} chat${nodes.length === 1 ? '' : 's'}...`, 'Suggest Names');
+        const suggestions = await this.getNameSuggestions(nodes);
+        if (!suggestions.length) {
+            toastr.info('These chats have no messages to name them after', 'Suggest Names');
+            return;
+        }
+
+        const escape = MessageViewerPopup.escapeHtml;
+        const content = $(`
+            <div class="chat-tree-names-dialog">
+                <h3>Suggested names</h3>
+                <small>Untick the chats to keep or edit a name before renaming.</small>
+                <div class="chat-tree-names-list">
+                    ${suggestions.map(({ node, name }) => `
+                        <div class="chat-tree-names-row" data-uuid="${escape(node.id)}">
+                            <input type="checkbox" class="chat-tree-names-check" checked title="Rename this chat">
+                            <span class="chat-tree-names-old" title="${escape(node.name)}">${escape(node.name)}</span>
+                            <i class="fa-solid fa-arrow-right" aria-hidden="true"></i>
+                            <input type="text" class="text_pole chat-tree-names-input" value="${escape(name)}" aria-label="New name for ${escape(node.name)}" spellcheck="false">
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `);
+
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Rename',
+            cancelButton: 'Cancel',
+            wide: true
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const renames = content.find('.chat-tree-names-row').get()
+            .filter(row => $(row).find('.chat-tree-names-check').is(':checked'))
+            .map(row => ({ node: this.nodeMap.get(String($(row).data('uuid'))), name: String($(row).find('.chat-tree-names-input').val()).trim() }))
+            .filter(({ node, name }) => node && name && name !== node.name);
+        await this.renameNodes(renames);
+    }
+
+    /**
+     * Suggested name for every node with content, made unique and valid for renaming
+     * @param {Array} nodes - View nodes to name
+     * @returns {Promise<Array<{node: Object, name: string}>>}
+     */
+    async getNameSuggestions(nodes) {
+        const mode = this.settings?.branchAutoName === AUTO_NAME_MODES.DISTINCTIVE ? AUTO_NAME_MODES.DISTINCTIVE : AUTO_NAME_MODES.FIRST_WORDS;
+
+        const chats = new Map(); // Chat name -> Promise of messages, siblings are shared
+        const getMessages = (node) => {
+            if (!chats.has(node.name)) {
+                chats.set(node.name, this.chatFiles.getChat(node.name).then(chatData =>
+                    chatData[0]?.mes === undefined ? chatData.slice(1) : chatData));
+            }
+            return chats.get(node.name);
+        };
+
+        const suggestions = [];
+        const taken = new Set();
+        for (const node of nodes) {
+            let base;
+            try {
+                const siblings = mode === AUTO_NAME_MODES.DISTINCTIVE
+                    ? (node.parent ? node.parent.children : this.treeRoots).filter(sibling => sibling !== node)
+                    : [];
+                const siblingMessages = await Promise.all(siblings.map(sibling => getMessages(sibling).catch(() => [])));
+                base = BranchNameSuggester.suggest(await getMessages(node), node.data.branch_point, siblingMessages, mode);
+            } catch (error) {
+                console.warn('[Chat Branches] Could not read chat for a name suggestion:', node.name, error);
+                continue;
+            }
+            if (!base) continue;
+
+            const isFree = name => !taken.has(name) && this.renameHandler.validateName(name, this.allTreeRoots, node.id).valid;
+            let name = base;
+            for (let counter = 2; !isFree(name) && counter <= MAX_NAME_COUNTER; counter++) {
+                name = `${base} (${counter})`;
+            }
+            if (!isFree(name)) continue;
+
+            taken.add(name);
+            suggestions.push({ node, name });
+        }
+        return suggestions;
+    }
+
+    /**
+     * Rename several chats, reopening the active one if it was among them
+     * @param {Array<{node: Object, name: string}>} renames
+     */
+    async renameNodes(renames) {
+        const used = new Set();
+        const failed = [];
+        let renamed = 0;
+        let activeName = null;
+
+        for (const { node, name } of renames) {
+            const validation = used.has(name)
+                ? { valid: false, error: 'A chat with this name already exists' }
+                : this.renameHandler.validateName(name, this.allTreeRoots, node.id);
+            if (!validation.valid) {
+                failed.push(`${name}: ${validation.error}`);
+                continue;
+            }
+
+            try {
+                await this.renameHandler.performRename(node.id, node.name, name);
+                used.add(name);
+                renamed++;
+                if (this.currentChatUUID === node.id) activeName = name;
+            } catch (error) {
+                failed.push(`${name}: ${error.message}`);
+            }
+        }
+
+        if (activeName) await this.reopenRenamedChat(this.currentChatUUID, activeName);
+        if (renamed) await this.loadAndBuildTree();
+
+        if (renamed) toastr.success(`Renamed ${renamed} chat${renamed === 1 ? '' : 's'}`);
+        if (failed.length) {
+            console.warn('[Chat Branches] Some chats were not renamed:', failed);
+            toastr.error(failed.join('\n'), `${failed.length} chat${failed.length === 1 ? '' : 's'} not renamed`);
+        }
+    }
+
     cancelRename() {
         if (!this.isRenaming) return;
         
@@ -812,56 +2266,193 @@ export class ChatTreeView {
     }
 
     // =========================================================================
-    // ROOT DROPDOWN FUNCTIONALITY
+    // DELETE LOGIC
     // =========================================================================
 
-    populateRootDropdown() {
-        const $dropdown = $('#chat_tree_root_dropdown');
-        $dropdown.empty();
+    async confirmDeleteBranch(node) {
+        const treeNode = this.nodeMap.get(node.id || node.uuid);
+        if (!treeNode) return;
+
+        const subtree = this.deleteHandler.collectSubtree(treeNode.data);
+        const containsActiveChat = subtree
+            .some(subtreeNode => subtreeNode.uuid === this.currentChatUUID || subtreeNode.chat_name === this.currentChatFile);
+        const isActiveChat = treeNode.id === this.currentChatUUID || treeNode.name === this.currentChatFile;
 
-        // Hide dropdown if only one or no root exists
-        if (this.allTreeRoots.length <= 1) {
-            $dropdown.parent().hide();
+        if (isActiveChat) {
+            toastr.warning('Switch to another chat before deleting the active one.', 'Delete Branch');
             return;
         }
 
-        $dropdown.parent().show();
+        const escapedName = $('<span>').text(treeNode.name).html();
+        const descendantCount = subtree.length - 1;
+        const cascadeDisabled = containsActiveChat ? 'disabled' : '';
+
+        const content = $(`
+            <div class="chat-tree-delete-dialog">
+                <h3>Delete "${escapedName}"</h3>
+                <label class="checkbox_label">
+                    <input type="radio" name="chat_tree_delete_mode" value="${DELETE_MODES.REPARENT}" checked>
+                    <span>Delete this chat only, move its children to its parent</span>
+                </label>
+                <label class="checkbox_label">
+                    <input type="radio" name="chat_tree_delete_mode" value="${DELETE_MODES.CASCADE}" ${cascadeDisabled}>
+                    <span>Delete this chat and its ${descendantCount} descendant chat(s)${containsActiveChat ? ' (contains the active chat)' : ''}</span>
+                </label>
+                <label class="checkbox_label">
+                    <input type="radio" name="chat_tree_delete_mode" value="${DELETE_MODES.UNTRACK}">
+                    <span>Remove from the tree only, keep the chat file</span>
+                </label>
+                <small>Deleted chat files cannot be recovered.</small>
+            </div>
+        `);
 
-        // Add options for each root
-        this.allTreeRoots.forEach(root => {
-            const displayName = root.name.length > 30 ? root.name.substring(0, 30) + '...' : root.name;
-            const $option = $('<option>')
-                .val(root.id)
-                .text(displayName)
-                .attr('title', root.name);
-            
-            // Mark as selected if this is the current root
-            if (this.currentRootNode && root.id === this.currentRootNode.id) {
-                $option.prop('selected', true);
+        const popup = new Popup(content[0], POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Delete',
+            cancelButton: 'Cancel'
+        });
+        const result = await popup.show();
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const mode = String(content.find('input[name="chat_tree_delete_mode"]:checked').val());
+
+        this.setLoading(true);
+        try {
+            const deletedFiles = await this.deleteHandler.deleteBranch(treeNode.data, mode);
+
+            if (mode === DELETE_MODES.UNTRACK) {
+                toastr.success('Chat removed from the tree');
+            } else {
+                toastr.success(`Deleted ${deletedFiles} chat(s)`);
             }
-            
-            $dropdown.append($option);
+        } catch (error) {
+            console.error('[Chat Branches] Delete failed:', error);
+            toastr.error(error.message || 'Failed to delete branch', 'Delete Failed');
+        } finally {
+            this.setLoading(false);
+        }
+
+        await this.loadAndBuildTree();
+    }
+
+    // =========================================================================
+    // ROOT MANAGER & FOREST VIEW
+    // =========================================================================
+
+    isForestMode() {
+        return !!this.settings?.treeForest;
+    }
+
+    /**
+     * Show every root of the owner side by side, or only the active chat's tree
+     */
+    toggleForest() {
+        this.settings.treeForest = !this.isForestMode();
+        this.saveSettings();
+        $('#chat_tree_forest').toggleClass('active', this.isForestMode());
+
+        this.isolateActiveTree();
+        this.populateRootManager();
+        if (!this.treeRoots.length) return;
+
+        this.render();
+        this.centerOnActive();
+    }
+
+    /**
+     * List every root with its branch count and last activity
+     */
+    populateRootManager() {
+        const currentRootId = this.currentNode ? findRoot(this.currentNode).id : null;
+
+        const entries = this.allTreeRoots.map(root => {
+            let branchCount = -1; // The root itself is not a branch
+            let lastActivity = null;
+            const stack = [root];
+            while (stack.length) {
+                const node = stack.pop();
+                branchCount++;
+                const time = this.getLastActivity(node);
+                if (time !== null && (lastActivity === null || time > lastActivity)) lastActivity = time;
+                stack.push(...node.children);
+            }
+
+            const canonicalPath = getCanonicalPath(root);
+            return {
+                root,
+                branchCount,
+                canonicalTip: canonicalPath.length > 1 ? canonicalPath[canonicalPath.length - 1] : null,
+                lastActivity,
+                lastActivityText: lastActivity === null ? 'No activity recorded' : MessageViewerPopup.formatTimestamp(lastActivity)
+            };
         });
+
+        this.rootManager.setRoots(entries, currentRootId, this.currentRootNode?.id || null);
     }
 
-    async handleRootChange(rootUUID) {
-        const selectedRoot = this.allTreeRoots.find(root => root.id === rootUUID);
-        
-        if (!selectedRoot) {
-            console.error('[Chat Branches] Root not found:', rootUUID);
-            return;
+    /**
+     * Fetch the last message time and message count of every chat of the owner,
+     * so badges survive a storage backend that does not keep the recorded ones
+     */
+    async loadChatList() {
+        const ownerId = this.loadedOwnerId;
+        try {
+            const chats = await this.chatFiles.listChats();
+            if (!this.visible || ownerId !== this.loadedOwnerId) return;
+
+            this.lastActivity = new Map();
+            this.messageCounts = new Map();
+            for (const chat of chats) {
+                const chatName = String(chat.file_name).replace(/\.jsonl$/, '');
+                if (Number.isFinite(chat.chat_items)) this.messageCounts.set(chatName, chat.chat_items);
+
+                if (!chat.last_mes) continue;
+                const time = this.timestampToMoment ? this.timestampToMoment(chat.last_mes).valueOf() : new Date(chat.last_mes).getTime();
+                if (Number.isFinite(time)) this.lastActivity.set(chatName, time);
+            }
+            this.populateRootManager();
+            if (this.treeRoots.length) this.render(); // Badges and heat of chats without recorded activity
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load chat list:', error);
+        }
+    }
+
+    /**
+     * Show a root's tree without opening its chat
+     * Forest mode scrolls to it, otherwise it replaces the displayed tree.
+     * @param {Object} root - Root view node
+     * @param {Object} [target] - Node of the tree to reveal and focus, instead of the current chat or root
+     */
+    browseRoot(root, target = null) {
+        this.currentRootNode = root;
+        this.expandedUUIDs.add(root.id);
+        for (let parent = target?.parent; parent; parent = parent.parent) {
+            this.expandedUUIDs.add(parent.id);
         }
+        if (!this.isForestMode()) this.treeRoots = [root];
+
+        this.populateRootManager();
+        this.render();
 
-        // Don't switch if already on this root
-        if (this.currentRootNode && selectedRoot.id === this.currentRootNode.id) {
+        if (!target && this.currentNode && findRoot(this.currentNode) === root) {
+            this.centerOnActive();
             return;
         }
 
-        // Update current root
-        this.currentRootNode = selectedRoot;
+        const focused = target || root;
+        const position = this.layout.positions.get(focused.id);
+        if (!position) return;
+        const { nodeWidth, nodeHeight } = this.layout.sizes;
+        this.scrollToLayoutPoint(position.x + nodeWidth / 2, position.y + nodeHeight / 2);
+        this.focusNode(focused.id);
+    }
 
-        // Switch to the root's chat
-        await this.swapChat(selectedRoot.name);
+    /**
+     * Switch to a root's chat
+     * @param {Object} root - Root view node
+     */
+    async openRoot(root) {
+        if (this.isSwappingChat || root.name === this.currentChatFile) return;
+        await this.swapChat(root.name);
     }
 
     // =========================================================================
@@ -874,15 +2465,21 @@ export class ChatTreeView {
      * @returns {Promise<boolean>} - True if the chat exists
      */
     async verifyChatExists(chatName) {
-        if (!this.characters[this.this_chid]) {
+        if (!this.chatFiles.hasOwner()) {
             return false;
         }
 
+        // Method 0: Group chats keep their chat list on the group object
+        const group = this.chatFiles.getGroup();
+        if (group && Array.isArray(group.chats) && group.chats.includes(chatName)) {
+            return true;
+        }
+
         // Check the character's chat list
-        const character = this.characters[this.this_chid];
+        const character = this.chatFiles.getCharacter();
         
         // Method 1: Check if chat is in the character's chat_items array
-        if (character.chat_items && Array.isArray(character.chat_items)) {
+        if (character?.chat_items && Array.isArray(character.chat_items)) {
             const chatExists = character.chat_items.some(chat => {
                 // Chat items can be strings or objects with a file property
                 const chatFile = typeof chat === 'object' ? chat.file : chat;
@@ -891,36 +2488,27 @@ export class ChatTreeView {
             if (chatExists) return true;
         }
 
-        // Method 2: Check via the plugin's tree data (more reliable)
+        // Method 2: Check via the stored tree data (more reliable)
         try {
-            const characterId = character.avatar;
-            const response = await fetch(`${this.pluginBaseUrl}/tree/${characterId}`, {
-                headers: {
-                    'X-CSRF-Token': this.token
-                }
-            });
-
-            if (response.ok) {
-                const data = await response.json();
-                if (data.success && data.tree) {
-                    // Search for the chat in the tree
-                    const findChatInTree = (nodes) => {
-                        for (const node of nodes) {
-                            if (node.chat_name === chatName) {
-                                return true;
-                            }
-                            if (node.children && node.children.length > 0) {
-                                if (findChatInTree(node.children)) {
-                                    return true;
-                                }
-                            }
+            const ownerId = this.chatFiles.getOwnerId();
+            const tree = await this.storage.getTree(ownerId);
+
+            // Search for the chat in the tree
+            const findChatInTree = (nodes) => {
+                for (const node of nodes) {
+                    if (node.chat_name === chatName) {
+                        return true;
+                    }
+                    if (node.children && node.children.length > 0) {
+                        if (findChatInTree(node.children)) {
+                            return true;
                         }
-                        return false;
-                    };
-                    
-                    return findChatInTree(data.tree);
+                    }
                 }
-            }
+                return false;
+            };
+
+            return findChatInTree(tree || []);
         } catch (error) {
             console.error('[Chat Branches] Error verifying chat existence:', error);
         }
@@ -941,15 +2529,44 @@ export class ChatTreeView {
                 <div id="chat_tree_modal">
                     <div id="chat_tree_header">
                         <div class="chat-tree-header-left">
-                            <div class="chat-tree-root-selector">
-                                <select id="chat_tree_root_dropdown" class="chat-tree-dropdown">
-                                    <option value="">Select Root...</option>
-                                </select>
+                            <div id="chat_tree_roots" class="chat-tree-root-selector"></div>
+                            <div class="chat-tree-filter">
+                                <i class="fa-solid fa-filter"></i>
+                                <input type="search" id="chat_tree_filter_input" class="chat-tree-search-input" placeholder="Filter chats..." autocomplete="off" spellcheck="false"
+                                    title="${FILTER_HELP}">
+                                <span id="chat_tree_filter_count" class="chat-tree-filter-count"></span>
+                                <div id="chat_tree_filter_hide" class="menu_button fa-solid fa-eye-slash" title="Hide branches without matches instead of dimming them"></div>
                             </div>
+                            <div class="chat-tree-search">
+                                <i class="fa-solid fa-magnifying-glass"></i>
+                                <input type="search" id="chat_tree_search_input" class="chat-tree-search-input" placeholder="Search messages..." autocomplete="off" spellcheck="false">
+                                <div id="chat_tree_search_results" class="chat-tree-search-results" style="display: none;"></div>
+                            </div>
+                        </div>
+                        <div class="chat-tree-header-right">
+                            <select id="chat_tree_layout_select" class="chat-tree-dropdown chat-tree-layout-select" title="Tree layout">
+                                ${Object.values(LAYOUT_MODES).map(mode => `<option value="${mode}">${LAYOUT_MODE_LABELS[mode]}</option>`).join('')}
+                            </select>
+                            <div id="chat_tree_forest" class="menu_button fa-solid fa-tree" title="Show all stories side by side"></div>
+                            <div id="chat_tree_compress" class="menu_button fa-solid fa-compress" title="Fold single-child chains"></div>
+                            <div id="chat_tree_sort_rating" class="menu_button fa-solid fa-arrow-down-wide-short" title="Sort branches by rating"></div>
+                            <div id="chat_tree_dock" class="menu_button fa-solid fa-table-columns"></div>
+                            <div id="chat_tree_close" class="menu_button fa-solid fa-xmark"></div>
                         </div>
-                        <div id="chat_tree_close" class="menu_button fa-solid fa-xmark"></div>
                     </div>
                     <div id="chat_tree_content"></div>
+                    <div class="chat-tree-canvas-tools">
+                        <div id="chat_tree_minimap"></div>
+                        <div class="chat-tree-zoom-controls">
+                            <div id="chat_tree_zoom_out" class="menu_button fa-solid fa-minus" title="Zoom out (Ctrl+wheel or pinch)"></div>
+                            <div id="chat_tree_zoom_level" title="Reset zoom">100%</div>
+                            <div id="chat_tree_zoom_in" class="menu_button fa-solid fa-plus" title="Zoom in (Ctrl+wheel or pinch)"></div>
+                            <div id="chat_tree_zoom_fit" class="menu_button fa-solid fa-expand" title="Zoom to fit"></div>
+                            <div id="chat_tree_zoom_current" class="menu_button fa-solid fa-crosshairs" title="Zoom to the current chat"></div>
+                            <div id="chat_tree_heatmap" class="menu_button fa-solid fa-fire" title="Color chats by recent activity"></div>
+                            <div id="chat_tree_minimap_toggle" class="menu_button fa-solid fa-map" title="Show or hide the minimap"></div>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
@@ -957,15 +2574,30 @@ export class ChatTreeView {
         $('body').append(html);
 
         $('#chat_tree_close').on('click', () => this.hide());
+        $('#chat_tree_dock').on('click', () => this.toggleDock());
+        $('#chat_tree_compress').on('click', () => this.toggleCompressChains()).toggleClass('active', this.isCompressingChains());
+        $('#chat_tree_forest').on('click', () => this.toggleForest()).toggleClass('active', this.isForestMode());
+        $('#chat_tree_sort_rating').on('click', () => this.toggleSortByRating()).toggleClass('active', this.isSortingByRating());
+        this.rootManager.mount($('#chat_tree_roots'));
+        $('#chat_tree_zoom_in').on('click', () => this.setZoom(this.zoom * ZOOM_STEP));
+        $('#chat_tree_zoom_out').on('click', () => this.setZoom(this.zoom / ZOOM_STEP));
+        $('#chat_tree_zoom_level').on('click', () => this.setZoom(1));
+        $('#chat_tree_zoom_fit').on('click', () => this.zoomToFit());
+        $('#chat_tree_zoom_current').on('click', () => this.zoomToCurrent());
+        $('#chat_tree_heatmap').on('click', () => this.toggleHeatmap()).toggleClass('active', this.isHeatmapShown());
+        $('#chat_tree_minimap_toggle').on('click', () => this.toggleMinimap()).toggleClass('active', this.isMinimapShown());
+        this.minimap.mount($('#chat_tree_minimap'));
+        this.minimap.setVisible(this.isMinimapShown());
+
+        $('#chat_tree_layout_select')
+            .val(this.getLayoutMode())
+            .on('change', (e) => this.setLayoutMode(String($(e.target).val())));
+        this.applyDockState();
         
-        // Bind dropdown change event
-        $('#chat_tree_root_dropdown').on('change', (e) => {
-            const rootUUID = $(e.target).val();
-            if (rootUUID) {
-                this.handleRootChange(rootUUID);
-            }
-        });
-        
+        this.bindEvents();
+        this.bindFilter();
+        this.bindSearch();
+
         $('#chat_tree_overlay').on('click', (e) => {
             // Only close if clicking directly on overlay (not when panning or just finished panning)
             if(e.target.id === 'chat_tree_overlay' && !this.isPanning && !this.wasPanning) {
@@ -977,7 +2609,11 @@ export class ChatTreeView {
         
         $(window).on('resize.chatTree', () => {
             clearTimeout(this.resizeTimer);
-            this.resizeTimer = setTimeout(() => this.drawLines(), 100);
+            this.resizeTimer = setTimeout(() => {
+                if (!this.treeRoots.length) return;
+                this.relayout();
+                this.renderViewport();
+            }, 100);
         });
     }
 
@@ -993,16 +2629,321 @@ export class ChatTreeView {
         }
     }
 
-    openMessageViewer(node) {
+    // =========================================================================
+    // FILTER
+    // =========================================================================
+
+    bindFilter() {
+        const $input = $('#chat_tree_filter_input');
+
+        this.treeFilter = null;
+
+        $('#chat_tree_filter_hide').on('click', () => this.toggleFilterHide()).toggleClass('active', this.isFilterHiding());
+
+        $input.on('input', () => {
+            clearTimeout(this.filterTimer);
+            this.filterTimer = setTimeout(() => this.applyFilter(String($input.val())), 200);
+        });
+
+        $input.on('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                $input.val('');
+                this.applyFilter('');
+            }
+        });
+    }
+
+    isFilterHiding() {
+        return !!this.settings?.treeFilterHides;
+    }
+
+    /**
+     * Switch the filter between dimming and hiding branches without matches
+     */
+    toggleFilterHide() {
+        this.settings.treeFilterHides = !this.isFilterHiding();
+        this.saveSettings();
+        $('#chat_tree_filter_hide').toggleClass('active', this.isFilterHiding());
+        if (this.treeFilter) this.render();
+    }
+
+    /**
+     * Nodes a hiding filter keeps: the matches and their ancestors
+     * @returns {Set<string>} UUIDs
+     */
+    getFilterKeepIds() {
+        const keep = new Set();
+        const visit = (node) => {
+            let kept = this.treeFilter.matches(node);
+            for (const child of node.children) {
+                if (visit(child)) kept = true;
+            }
+            if (kept) keep.add(node.id);
+            return kept;
+        };
+        this.treeRoots.forEach(visit);
+        return keep;
+    }
+
+    /**
+     * Highlight nodes matching a filter query, dim (or hide) the rest and expand the paths to matches
+     * @param {string} query - Filter text (see TreeFilter)
+     */
+    applyFilter(query) {
+        const filter = new TreeFilter(query);
+        const $input = $('#chat_tree_filter_input');
+        const $count = $('#chat_tree_filter_count');
+
+        $input.toggleClass('invalid', filter.errors.length > 0).attr('title', filter.errors.join('\n') || FILTER_HELP);
+
+        if (filter.isEmpty()) {
+            const wasActive = !!this.treeFilter;
+            this.treeFilter = null;
+            $count.text('');
+            if (wasActive) this.render();
+            return;
+        }
+
+        this.treeFilter = filter;
+
+        // Only count nodes of the displayed trees
+        let matchCount = 0;
+        const visit = (node) => {
+            if (filter.matches(node)) {
+                matchCount++;
+                for (let parent = node.parent; parent; parent = parent.parent) {
+                    this.expandedUUIDs.add(parent.id);
+                }
+            }
+            node.children.forEach(visit);
+        };
+        this.treeRoots.forEach(visit);
+
+        $count.text(`${matchCount} match${matchCount === 1 ? '' : 'es'}`);
+        this.render();
+    }
+
+    // =========================================================================
+    // SEARCH
+    // =========================================================================
+
+    bindSearch() {
+        const $input = $('#chat_tree_search_input');
+        const $results = $('#chat_tree_search_results');
+
+        this.searchIndexedOwner = null;
+        this.searchMatches.clear();
+
+        $input.on('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.runSearch(String($input.val())), 300);
+        });
+
+        $input.on('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                $input.val('');
+                this.runSearch('');
+            }
+        });
+
+        $results.on('click', '.chat-tree-search-result', (e) => {
+            const $result = $(e.currentTarget);
+            this.jumpToMessage(String($result.data('chat')), Number($result.data('message')));
+        });
+
+        $results.on('click', '.chat-tree-search-reindex', () => {
+            this.runSearch(String($input.val()), { force: true });
+        });
+    }
+
+    /**
+     * Search message text across every branch and highlight matching nodes
+     * @param {string} query - Search text
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Fetch every chat again before searching
+     */
+    async runSearch(query, options = {}) {
+        const $results = $('#chat_tree_search_results');
+        const trimmed = query.trim();
+
+        if (trimmed.length < 2) {
+            $results.hide().empty();
+            if (this.searchMatches.size) {
+                this.searchMatches.clear();
+                this.render();
+            }
+            return;
+        }
+
+        const ownerId = this.chatFiles.getOwnerId();
+        if (!ownerId || !this.searchIndex) return;
+
+        try {
+            // Index missing chats once per modal opening, forced re-index on request
+            if (this.searchIndexedOwner !== ownerId || options.force) {
+                const branches = [...this.nodeMap.values()].map(node => ({ uuid: node.id, chat_name: node.name }));
+                $results.show().html('<div class="chat-tree-search-status"><i class="fa-solid fa-spinner fa-spin"></i> <span>Indexing chats...</span></div>');
+                await this.searchIndex.buildIndex(ownerId, branches, {
+                    force: options.force,
+                    onProgress: (done, total) => $results.find('.chat-tree-search-status span').text(`Indexing chats... ${done}/${total}`)
+                });
+                this.searchIndexedOwner = ownerId;
+            }
+
+            // Input may have changed while indexing
+            if (String($('#chat_tree_search_input').val()).trim() !== trimmed) return;
+
+            const results = await this.searchIndex.search(ownerId, trimmed);
+            this.renderSearchResults(results);
+
+            // Highlight matching nodes and make sure they are visible
+            this.searchMatches = new Set(results.map(result => result.uuid));
+            for (const uuid of this.searchMatches) {
+                for (let node = this.nodeMap.get(uuid)?.parent; node; node = node.parent) {
+                    this.expandedUUIDs.add(node.id);
+                }
+            }
+            this.render();
+        } catch (error) {
+            console.error('[Chat Branches] Search failed:', error);
+            $results.show().html(`<div class="chat-tree-search-status">Search failed: ${MessageViewerPopup.escapeHtml(error.message)}</div>`);
+        }
+    }
+
+    renderSearchResults(results) {
+        const $results = $('#chat_tree_search_results');
+        const escape = MessageViewerPopup.escapeHtml;
+        const reindexHtml = '<div class="chat-tree-search-reindex" title="Fetch every chat again, use if chats were changed elsewhere"><i class="fa-solid fa-rotate"></i> Re-index</div>';
+
+        if (results.length === 0) {
+            $results.show().html(`<div class="chat-tree-search-status">No messages found</div>${reindexHtml}`);
+            return;
+        }
+
+        // Group results by chat, keeping the order they were found in
+        const byChat = new Map();
+        for (const result of results) {
+            if (!byChat.has(result.uuid)) byChat.set(result.uuid, []);
+            byChat.get(result.uuid).push(result);
+        }
+
+        const groupsHtml = [...byChat.values()].map(chatResults => {
+            const chatName = chatResults[0].chat_name;
+            const itemsHtml = chatResults.map(result => {
+                // Highlight the first search term in the snippet. Split the raw text so
+                // the term cannot match inside an escaped entity like &amp;
+                const snippet = String(result.snippet || '');
+                const term = String(result.term || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const highlighted = term
+                    ? snippet.split(new RegExp(`(${term})`, 'gi'))
+                        .map((part, index) => index % 2 ? `<mark>${escape(part)}</mark>` : escape(part))
+                        .join('')
+                    : escape(snippet);
+
+                return `
+                    <div class="chat-tree-search-result" data-chat="${escape(chatName)}" data-message="${result.message_id}">
+                        <span class="chat-tree-search-sender">#${result.message_id} ${escape(result.name)}</span>
+                        <span class="chat-tree-search-snippet">${highlighted}</span>
+                    </div>`;
+            }).join('');
+
+            return `
+                <div class="chat-tree-search-group">
+                    <div class="chat-tree-search-chat"><i class="fa-solid fa-message"></i> ${escape(chatName)} (${chatResults.length})</div>
+                    ${itemsHtml}
+                </div>`;
+        }).join('');
+
+        $results.show().html(`${groupsHtml}${reindexHtml}`);
+    }
+
+    /**
+     * Open a chat and scroll to one of its messages
+     * @param {string} chatName - Chat name
+     * @param {number} messageId - Message position in the chat
+     */
+    jumpToMessage(chatName, messageId) {
+        this.getMessageViewer().jumpToMessage(chatName, messageId);
+    }
+
+    // =========================================================================
+    // BRANCH COMPARISON
+    // =========================================================================
+
+    /**
+     * Pick a node for comparison; the second pick opens the comparison
+     * Picking the same node twice cancels the selection
+     * @param {Object} node - Internal tree node
+     */
+    selectForCompare(node) {
+        if (!node) return;
+
+        if (!this.compareSelection || !this.nodeMap.has(this.compareSelection)) {
+            this.compareSelection = node.id;
+            this.render();
+            toastr.info('Now pick a second chat: Ctrl+click it or right-click it and choose Compare.', 'Compare Branches');
+            return;
+        }
+
+        const first = this.nodeMap.get(this.compareSelection);
+        this.compareSelection = null;
+        this.render();
+
+        if (first.id !== node.id) {
+            this.openCompare(first, node);
+        }
+    }
+
+    /**
+     * Find the closest node both nodes descend from (a node counts as its own ancestor)
+     * @param {Object} a - Internal tree node
+     * @param {Object} b - Internal tree node
+     * @returns {Object|null}
+     */
+    findCommonAncestor(a, b) {
+        const ancestorsOfA = new Set();
+        for (let current = a; current; current = current.parent) {
+            ancestorsOfA.add(current.id);
+        }
+        for (let current = b; current; current = current.parent) {
+            if (ancestorsOfA.has(current.id)) return current;
+        }
+        return null;
+    }
+
+    openCompare(left, right) {
+        const ancestor = this.findCommonAncestor(left, right);
+
+        if (!this.branchComparePopup) {
+            this.branchComparePopup = new BranchComparePopup({
+                chatFiles: this.chatFiles,
+                extensionName: this.extensionName
+            });
+        }
+
+        this.branchComparePopup.show(
+            { uuid: left.id, name: left.name },
+            { uuid: right.id, name: right.name },
+            { ancestorName: ancestor?.name }
+        );
+    }
+
+    getMessageViewer() {
         if (!this.messageViewerPopup) {
             this.messageViewerPopup = new MessageViewerPopup({
                 characters: this.characters,
                 this_chid: this.this_chid,
                 token: this.token,
                 openCharacterChat: this.openCharacterChat,
+                chatFiles: this.chatFiles,
                 extensionName: this.extensionName,
-                pluginBaseUrl: this.pluginBaseUrl,
-                onNavigate: () => this.hide()
+                storage: this.storage,
+                onNavigate: () => {
+                    // The docked panel follows the chat through CHAT_CHANGED
+                    if (!this.isDocked()) this.hide();
+                }
             });
         } else {
             // Update dependencies with fresh character data
@@ -1010,9 +2951,14 @@ export class ChatTreeView {
                 characters: this.characters,
                 this_chid: this.this_chid,
                 token: this.token,
-                pluginBaseUrl: this.pluginBaseUrl
+                storage: this.storage
             });
         }
+        return this.messageViewerPopup;
+    }
+
+    openMessageViewer(node) {
+        this.getMessageViewer();
         // FIX: Attach to document.body so it floats above the tree modal
         // instead of being trapped inside it.
         this.messageViewerPopup.show({
@@ -1027,11 +2973,29 @@ export class ChatTreeView {
             this.clearLongPressTimer();
         }
         
+        this.visible = false;
+        $('body').removeClass('chat-branches-tree-docked');
         $('#chat_tree_overlay').fadeOut(200, function() { $(this).remove(); });
         $('style#chat-tree-styles').remove();
         $(window).off('resize.chatTree');
         $(document).off('mousemove.chatTree mouseup.chatTree mouseleave.chatTree');
+        this.cancelDrag();
+        clearTimeout(this.searchTimer);
+        clearTimeout(this.filterTimer);
+        cancelAnimationFrame(this.viewportFrame);
+        this.viewportFrame = null;
+        this.renderedNodes.clear();
+        this.searchMatches.clear();
+        this.treeFilter = null;
+        this.pinch = null;
+        this.minimap.destroy();
+        this.rootManager.destroy();
+        this.cancelPreview();
+        this.previewCard.clear();
         $('#chat_tree_content').off('mousedown.chatTree touchstart.chatTree touchmove.chatTree touchend.chatTree touchcancel.chatTree touchstart.chatTreeBlank touchmove.chatTreeBlank touchend.chatTreeBlank touchcancel.chatTreeBlank');
+        $('#chat_tree_content').off('wheel.chatTreeZoom touchstart.chatTreeZoom touchmove.chatTreeZoom touchend.chatTreeZoom touchcancel.chatTreeZoom');
+        $('#chat_tree_content').off('focusin.chatTreeKeys keydown.chatTreeKeys');
+        $('#chat_tree_content').off('.chatTreePreview');
         
         // Clean up rename events
         $('#chat_tree_content').off('click.renameIcon');
@@ -1042,6 +3006,144 @@ export class ChatTreeView {
         
         // Cancel any active rename
         this.cancelRename();
+
+        if (this.onHide) this.onHide();
+    }
+
+    // =========================================================================
+    // DRAG AND DROP (REPARENTING)
+    // =========================================================================
+
+    bindDragAndDrop() {
+        const self = this;
+        const $c = $('#chat_tree_content');
+        const DRAG_THRESHOLD = 5; // px before a press turns into a drag
+
+        $c.off('mousedown.chatTreeDrag').on('mousedown.chatTreeDrag', '.tree-node', function(e) {
+            if (e.button !== 0 || self.isRenaming) return;
+            if ($(e.target).closest('.expand-toggle, .rename-icon').length) return;
+
+            const node = self.nodeMap.get($(this).data('uuid'));
+            if (!node) return;
+
+            self.dragState = { node, startX: e.clientX, startY: e.clientY, $ghost: null };
+        });
+
+        $(document).off('mousemove.chatTreeDrag').on('mousemove.chatTreeDrag', e => {
+            if (!this.dragState) return;
+
+            if (!this.dragState.$ghost) {
+                const distance = Math.hypot(e.clientX - this.dragState.startX, e.clientY - this.dragState.startY);
+                if (distance < DRAG_THRESHOLD) return;
+                this.startDrag();
+            }
+
+            this.dragState.$ghost.css({ left: e.clientX + 12, top: e.clientY + 12 });
+            this.highlightDropTarget(this.getDropTarget(e));
+        });
+
+        $(document).off('mouseup.chatTreeDrag').on('mouseup.chatTreeDrag', e => {
+            if (!this.dragState) return;
+
+            const { node, $ghost } = this.dragState;
+            const target = $ghost ? this.getDropTarget(e) : null;
+            this.cancelDrag();
+
+            if (!target || !target.valid) return;
+            this.moveNode(node, target.node);
+        });
+    }
+
+    startDrag() {
+        const { node } = this.dragState;
+        this.dragState.$ghost = $('<div class="tree-drag-ghost"></div>')
+            .text(node.name)
+            .appendTo('body');
+        $(`.tree-node[data-uuid="${node.id}"]`).addClass('dragging-node');
+    }
+
+    /**
+     * Resolve what the dragged node would be dropped on
+     * @param {MouseEvent} e - Mouse event
+     * @returns {{node: Object|null, valid: boolean}|null} Target node (null for a new root), or null outside the canvas
+     */
+    getDropTarget(e) {
+        const element = document.elementFromPoint(e.clientX, e.clientY);
+        if (!element || !$(element).closest('#chat_tree_content').length) return null;
+
+        const dragged = this.dragState.node;
+        const $treeNode = $(element).closest('.tree-node');
+
+        // Empty canvas: promote to root
+        if (!$treeNode.length) {
+            return { node: null, valid: !!dragged.parentId };
+        }
+
+        const target = this.nodeMap.get($treeNode.data('uuid'));
+        if (!target) return null;
+
+        const valid = target.id !== dragged.parentId && this.moveHandler.canMove(dragged.data, target.id);
+        return { node: target, valid };
+    }
+
+    highlightDropTarget(target) {
+        $('.tree-node.drop-target, .tree-node.drop-invalid').removeClass('drop-target drop-invalid');
+        $('#chat_tree_content').removeClass('drop-root');
+
+        if (!target) return;
+        if (!target.node) {
+            $('#chat_tree_content').toggleClass('drop-root', target.valid);
+            return;
+        }
+        $(`.tree-node[data-uuid="${target.node.id}"]`).addClass(target.valid ? 'drop-target' : 'drop-invalid');
+    }
+
+    cancelDrag() {
+        if (this.dragState?.$ghost) {
+            this.dragState.$ghost.remove();
+        }
+        this.dragState = null;
+        $('.tree-node.dragging-node').removeClass('dragging-node');
+        this.highlightDropTarget(null);
+    }
+
+    /**
+     * Move a node under a new parent, or make it a root
+     * @param {Object} node - Internal tree node to move
+     * @param {Object|null} targetNode - Internal tree node of the new parent, null for a new root
+     */
+    async moveNode(node, targetNode) {
+        if (!node) return;
+
+        const parentUuid = targetNode ? targetNode.id : null;
+        if (parentUuid === (node.parentId || null)) return;
+
+        if (!this.moveHandler.canMove(node.data, parentUuid)) {
+            toastr.warning('A chat cannot be moved under itself or one of its descendants.', 'Move Branch');
+            return;
+        }
+
+        // The root of the target's tree, found by walking up the rendered tree
+        let rootNode = targetNode;
+        while (rootNode?.parent) rootNode = rootNode.parent;
+        const rootUuid = rootNode ? rootNode.id : node.id;
+
+        this.setLoading(true);
+        try {
+            await this.moveHandler.moveBranch(node.data, parentUuid, rootUuid);
+
+            if (targetNode) {
+                this.expandedUUIDs.add(targetNode.id);
+                toastr.success(`Moved "${node.name}" under "${targetNode.name}"`);
+            } else {
+                toastr.success(`"${node.name}" is now a root. Pick it from the root dropdown.`);
+            }
+        } catch (error) {
+            console.error('[Chat Branches] Move failed:', error);
+            toastr.error(error.message || 'Failed to move branch', 'Move Failed');
+        }
+
+        await this.loadAndBuildTree();
     }
 
     // =========================================================================
@@ -1053,7 +3155,7 @@ export class ChatTreeView {
 
         $c.on('mousedown.chatTree', e => {
             // Don't pan if clicking on a node, expand button, or other interactive elements
-            if ($(e.target).closest('.tree-node, .expand-toggle, .context-menu-option').length || e.button !== 0) return;
+            if ($(e.target).closest('.tree-node, .expand-toggle, .tree-fold-label, .context-menu-option').length || e.button !== 0) return;
             e.preventDefault();
             this.isPanning = true;
             this.panStart = {
@@ -1065,6 +3167,7 @@ export class ChatTreeView {
             $c.addClass('panning');
         });
 
+        $(document).off('mousemove.chatTree mouseup.chatTree mouseleave.chatTree');
         $(document).on('mousemove.chatTree', e => {
             if (!this.isPanning) return;
             $c.scrollLeft(this.panStart.scrollX - (e.clientX - this.panStart.x));
@@ -19,7 +19,8 @@ export class ContextMenu {
         this.onSelectCallback = null;
         this.boundHideOnClickOutside = this.hideOnClickOutside.bind(this);
         this.boundHideOnScroll = this.hide.bind(this);
-        this.boundHideOnKeydown = this.hideOnKeydown.bind(this);
+        this.boundHandleKeydown = this.handleKeydown.bind(this);
+        this.returnFocusTo = null; // Element focused before the menu opened
         this.isDestroyed = false;
         this.showTimestamp = 0; // Track when menu was last shown to prevent immediate hide
     }
@@ -36,6 +37,7 @@ export class ContextMenu {
         try {
             // Force cleanup any existing menu without triggering hide logic
             this.forceCleanup();
+            this.returnFocusTo = document.activeElement;
             
             // Set timestamp to prevent immediate hide after showing
             this.showTimestamp = Date.now();
@@ -63,6 +65,8 @@ export class ContextMenu {
             this.element.find('.context-menu-option').on('click', (e) => {
                 try {
                     const optionId = $(e.currentTarget).data('option-id');
+                    // Before the callback, which may move focus itself (e.g. into a rename input)
+                    this.restoreFocus();
                     if (this.onSelectCallback && typeof this.onSelectCallback === 'function') {
                         this.onSelectCallback(optionId);
                     }
@@ -75,11 +79,12 @@ export class ContextMenu {
 
             // Bind close handlers
             $(document).on('click.contextMenu', this.boundHideOnClickOutside);
-            $(document).on('keydown.contextMenu', (e) => this.boundHideOnKeydown(e));
+            $(document).on('keydown.contextMenu', (e) => this.boundHandleKeydown(e));
             $('#chat_tree_content').on('scroll.contextMenu', this.boundHideOnScroll);
 
             // Show with animation
             this.element.addClass('visible');
+            this.element.find('.context-menu-option').first().trigger('focus');
         } catch (error) {
             console.error('ContextMenu: Error showing menu:', error);
             this.forceCleanup();
@@ -115,7 +120,7 @@ export class ContextMenu {
                 const label = this.escapeHtml(String(option.label || 'Option'));
                 const iconHtml = option.icon ? `<i class="${this.escapeHtml(option.icon)}"></i>` : '';
                 return `
-                    <div class="context-menu-option" data-option-id="${id}">
+                    <div class="context-menu-option" data-option-id="${id}" role="menuitem" tabindex="-1">
                         ${iconHtml}
                         <span>${label}</span>
                     </div>
@@ -123,7 +128,7 @@ export class ContextMenu {
             }).join('');
 
             return `
-                <div class="chat-branches-context-menu">
+                <div class="chat-branches-context-menu" role="menu">
                     ${optionsHtml}
                 </div>
             `;
@@ -258,22 +263,56 @@ export class ContextMenu {
     }
 
     /**
-     * Hide menu when Escape key is pressed
+     * Keyboard control: arrows move between options, Enter/Space picks one,
+     * Escape and Tab close the menu
      * @param {JQuery.Event} e - jQuery event object
      */
-    hideOnKeydown(e) {
+    handleKeydown(e) {
         try {
+            if (!this.element) return;
+
             // jQuery event has .which or .keyCode for key detection
             // Use e.originalEvent for native KeyboardEvent properties if needed
             if (e.key === 'Escape' || e.which === 27) {
+                e.preventDefault();
                 this.hide();
+                this.restoreFocus();
+                return;
+            }
+            if (e.key === 'Tab') {
+                this.hide();
+                return;
+            }
+
+            const $options = this.element.find('.context-menu-option');
+            const index = $options.index(document.activeElement);
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const next = index === -1 ? 0 : (index + step + $options.length) % $options.length;
+                $options.eq(next).trigger('focus');
+            } else if ((e.key === 'Enter' || e.key === ' ') && index !== -1) {
+                e.preventDefault();
+                $options.eq(index).trigger('click');
             }
         } catch (error) {
-            console.error('ContextMenu: Error in hideOnKeydown:', error);
+            console.error('ContextMenu: Error in handleKeydown:', error);
             this.forceCleanup();
         }
     }
 
+    /**
+     * Give focus back to the element that had it before the menu opened
+     */
+    restoreFocus() {
+        const element = this.returnFocusTo;
+        this.returnFocusTo = null;
+        if (element instanceof HTMLElement && element.isConnected && element !== document.body) {
+            element.focus({ preventScroll: true });
+        }
+    }
+
     /**
      * Register callback for option selection
      * @param {Function} callback - Function to call with selected option id
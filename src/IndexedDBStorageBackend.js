@@ -0,0 +1,221 @@
+/**
+ * IndexedDBStorageBackend - Stores branch records in the browser's IndexedDB
+ * Lets the extension work on SillyTavern instances without the server plugin.
+ * Records live in this browser profile only; use Rebuild Storage to recreate
+ * them from chat files on another device.
+ */
+
+const DB_NAME = 'SillyTavern-ChatBranches';
+const DB_VERSION = 1;
+const STORE_BRANCHES = 'branches';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Build the nested tree structure the plugin returns from flat branch records
+ * Branches whose parent is missing are treated as roots
+ * @param {Array} branches - Flat branch records of one character or group
+ * @returns {Array} Root nodes with nested children, sorted by creation date
+ */
+function buildTree(branches) {
+    const nodes = new Map(branches.map(branch => [branch.uuid, { ...branch, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent_uuid ? nodes.get(node.parent_uuid) : null;
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    const byCreation = (a, b) => (a.created_at || 0) - (b.created_at || 0);
+    for (const node of nodes.values()) {
+        node.children.sort(byCreation);
+    }
+
+    return roots.sort(byCreation);
+}
+
+export class IndexedDBStorageBackend {
+    constructor() {
+        this.id = 'indexeddb';
+        this.label = 'Browser (IndexedDB)';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Nothing to update, kept for interface parity with the plugin backend
+     */
+    updateDependencies() {}
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_BRANCHES)) {
+                    const store = db.createObjectStore(STORE_BRANCHES, { keyPath: 'uuid' });
+                    store.createIndex('character_id', 'character_id', { unique: false });
+                    store.createIndex('chat_name', 'chat_name', { unique: false });
+                    store.createIndex('parent_uuid', 'parent_uuid', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get the branches object store inside a new transaction
+     * @param {IDBTransactionMode} mode
+     * @returns {Promise<IDBObjectStore>}
+     */
+    async getStore(mode = 'readonly') {
+        const db = await this.openDatabase();
+        return db.transaction(STORE_BRANCHES, mode).objectStore(STORE_BRANCHES);
+    }
+
+    /**
+     * Check if IndexedDB can be used in this browser
+     * @returns {Promise<boolean>}
+     */
+    async checkAvailable() {
+        if (typeof indexedDB === 'undefined') return false;
+        try {
+            await this.openDatabase();
+            return true;
+        } catch (error) {
+            console.error('[Chat Branches] IndexedDB unavailable:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the branch tree of a character or group
+     * @param {string} ownerId - Character avatar or group id
+     * @returns {Promise<Array>} Root nodes with nested children
+     */
+    async getTree(ownerId) {
+        const store = await this.getStore();
+        const branches = await promisifyRequest(store.index('character_id').getAll(ownerId));
+        return buildTree(branches);
+    }
+
+    /**
+     * Fetch a single branch record
+     * @param {string} uuid - Branch UUID
+     * @returns {Promise<Object|null>}
+     */
+    async getBranch(uuid) {
+        const store = await this.getStore();
+        return (await promisifyRequest(store.get(uuid))) || null;
+    }
+
+    /**
+     * Find branch records by chat name (across all characters and groups)
+     * @param {string} chatName - Chat name to look for
+     * @returns {Promise<Array>}
+     */
+    async findBranchesByChatName(chatName) {
+        const store = await this.getStore();
+        return await promisifyRequest(store.index('chat_name').getAll(String(chatName)));
+    }
+
+    /**
+     * Create (or overwrite) a branch record
+     * @param {Object} branchData - Branch record
+     */
+    async createBranch(branchData) {
+        if (!branchData?.uuid) {
+            throw new Error('Branch UUID is required');
+        }
+
+        const record = {
+            ...branchData,
+            parent_uuid: branchData.parent_uuid || null,
+            root_uuid: branchData.root_uuid || branchData.uuid,
+            created_at: branchData.created_at || Date.now()
+        };
+        delete record.children;
+
+        const store = await this.getStore('readwrite');
+        await promisifyRequest(store.put(record));
+    }
+
+    /**
+     * Update fields of a branch record
+     * @param {string} uuid - Branch UUID
+     * @param {Object} updates - Fields to update
+     */
+    async updateBranch(uuid, updates) {
+        const store = await this.getStore('readwrite');
+        const existing = await promisifyRequest(store.get(uuid));
+        if (!existing) {
+            throw new Error('Branch not found');
+        }
+
+        const record = { ...existing, ...updates, uuid };
+        delete record.children;
+        await promisifyRequest(store.put(record));
+    }
+
+    /**
+     * Delete a branch record
+     * @param {string} uuid - Branch UUID
+     * @param {boolean} cascade - Whether to delete descendant records too
+     */
+    async deleteBranch(uuid, cascade = false) {
+        const store = await this.getStore('readwrite');
+        const toDelete = [uuid];
+
+        if (cascade) {
+            const parentIndex = store.index('parent_uuid');
+            for (let i = 0; i < toDelete.length; i++) {
+                const children = await promisifyRequest(parentIndex.getAllKeys(toDelete[i]));
+                toDelete.push(...children.filter(key => !toDelete.includes(key)));
+            }
+        }
+
+        for (const key of toDelete) {
+            await promisifyRequest(store.delete(key));
+        }
+    }
+
+    /**
+     * Delete every branch record of a character or group
+     * @param {string} ownerId - Character avatar or group id
+     * @returns {Promise<string>} Status message
+     */
+    async deleteOwner(ownerId) {
+        const store = await this.getStore('readwrite');
+        const keys = await promisifyRequest(store.index('character_id').getAllKeys(ownerId));
+        for (const key of keys) {
+            await promisifyRequest(store.delete(key));
+        }
+        return `Deleted ${keys.length} branches`;
+    }
+}
@@ -80,6 +80,17 @@ export class MessageViewerPopup {
         this.deps = null;
     }
 
+    /**
+     * Open a chat and scroll to one of its messages without showing the viewer
+     * @param {string} chatName - Chat name
+     * @param {number} messageId - Message position in the chat
+     */
+    async jumpToMessage(chatName, messageId) {
+        if (this.state.isDestroyed) return;
+        this.state.chatName = chatName;
+        await this._navigateToMessage(messageId);
+    }
+
     // =================================================================================
     // Data Loading & Processing
     // =================================================================================
@@ -89,18 +100,18 @@ export class MessageViewerPopup {
         this._renderLoading();
 
         try {
-            const character = this.deps.characters[this.deps.this_chid];
-            if (!character) throw new Error('Character not loaded');
+            if (!this.deps.chatFiles.hasOwner()) throw new Error('Character or group not loaded');
 
             // 1. Get Branch Info (for Chat Name)
-            const branchRes = await this._fetchJson(`${this.deps.pluginBaseUrl}/branch/${this.state.chatUUID}`);
-            if (!branchRes?.branch?.chat_name) throw new Error('Branch data missing');
+            const branch = await this.deps.storage.getBranch(this.state.chatUUID);
+            if (!branch?.chat_name) throw new Error('Branch data missing');
             
-            this.state.chatName = branchRes.branch.chat_name;
+            this.state.chatName = branch.chat_name;
             this._updateTitle();
+            this._renderNote(branch.note);
 
             // 2. Fetch Messages (Strategy Pattern: Try A, then B, then C)
-            let rawData = await this._fetchChatDataStrategy(character);
+            let rawData = await this._fetchChatDataStrategy();
             
             // 3. Process
             this.state.messages = this._processRawMessages(rawData);
@@ -114,44 +125,38 @@ export class MessageViewerPopup {
         }
     }
 
-    async _fetchChatDataStrategy(character) {
-        const payload = { 
-            ch_name: character.name, 
-            file_name: this.state.chatName, 
-            avatar_url: character.avatar 
-        };
+    async _fetchChatDataStrategy() {
+        const chatFiles = this.deps.chatFiles;
+        const character = chatFiles.getCharacter();
 
-        // Attempt 1: Standard API (exact name)
-        let data = await this._fetchApi('/api/chats/get', payload);
+        // Attempt 1: Standard API (character or group chat endpoint)
+        let data = null;
+        try {
+            data = await chatFiles.getChat(this.state.chatName);
+        } catch { data = null; }
         
-        // Attempt 2: Standard API (.jsonl appended)
-        if (!data) {
-            payload.file_name += '.jsonl';
-            data = await this._fetchApi('/api/chats/get', payload);
+        // Attempt 2: Standard API (.jsonl appended, character chats only)
+        if (!data?.length && !chatFiles.isGroup()) {
+            data = await this._fetchApi('/api/chats/get', {
+                ch_name: character.name,
+                file_name: `${this.state.chatName}.jsonl`,
+                avatar_url: character.avatar
+            });
         }
 
-        // Attempt 3: Plugin Fallback
+        // Attempt 3: Storage Fallback (only the server plugin can read files directly)
         if (!data || (Array.isArray(data) && data.length === 0)) {
-            console.warn('[Chat Branches][Message Viewer] API empty, trying plugin fallback...');
-            const pluginData = await this._fetchJson(
-                `${this.deps.pluginBaseUrl}/messages/${this.state.chatUUID}`, 
-                { method: 'POST', body: JSON.stringify({ character_name: character.name }) }
-            );
-            if (pluginData?.success) data = pluginData.messages;
+            console.warn('[Chat Branches][Message Viewer] API empty, trying storage fallback...');
+            try {
+                const storedData = await this.deps.storage.getMessages(this.state.chatUUID, chatFiles.getOwnerName());
+                if (storedData) data = storedData;
+            } catch { /* fall through to error below */ }
         }
 
         if (!data) throw new Error('Could not load chat data');
         return data;
     }
 
-    // Helper wrapper for Fetch
-    async _fetchJson(url, options = {}) {
-        options.headers = { ...options.headers, 'X-CSRF-Token': this.token, 'Content-Type': 'application/json' };
-        const res = await fetch(url, options);
-        if (!res.ok) return null;
-        return await res.json();
-    }
-
     async _fetchApi(url, body) {
         try {
             const res = await fetch(url, {
@@ -210,6 +215,7 @@ export class MessageViewerPopup {
                         <h3 id="message_viewer_title"><i class="fa-solid fa-comments"></i> <span>Loading...</span></h3>
                         <button id="message_viewer_close" class="message-viewer-btn"><i class="fa-solid fa-times"></i></button>
                     </div>
+                    <div id="message_viewer_note" class="message-viewer-note" style="display: none;"></div>
                     <div id="message_viewer_content" class="message-viewer-content"></div>
                 </div>
             </div>`;
@@ -278,6 +284,15 @@ export class MessageViewerPopup {
             </div>`;
     }
 
+    _renderNote(note) {
+        const $note = $('#message_viewer_note');
+        if (!note) {
+            $note.hide();
+            return;
+        }
+        $note.html(`<i class="fa-solid fa-note-sticky"></i> <span>${MessageViewerPopup.escapeHtml(note)}</span>`).show();
+    }
+
     _updateTitle() {
         const name = this.state.chatName || 'Messages';
         $('#message_viewer_title span').text(name.length > 40 ? name.substring(0, 40) + '...' : name);
@@ -367,11 +382,10 @@ export class MessageViewerPopup {
 
         try {
             // 1. Context Check: Switch chat if needed
-            const character = this.deps.characters[this.deps.this_chid];
-            const activeChat = character ? character.chat : null;
+            const activeChat = this.deps.chatFiles.getCurrentChatName();
 
             if (activeChat !== this.state.chatName) {
-                await this.deps.openCharacterChat(this.state.chatName);
+                await this.deps.chatFiles.openChat(this.state.chatName);
                 await wait(500);
             }
 
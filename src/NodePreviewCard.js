@@ -0,0 +1,156 @@
+/**
+ * NodePreviewCard - Details of a tree node shown while it is hovered or focused
+ * Full name, creation date, branch point, message count, the branch note and
+ * the last messages of the chat. Chat contents are fetched on first preview and cached per node.
+ */
+
+import { MessageViewerPopup } from './MessageViewerPopup.js';
+
+const PREVIEW_MESSAGES = 3;
+const PREVIEW_TEXT_LENGTH = 140;
+const CARD_OFFSET = 10; // px between the node and the card
+
+export class NodePreviewCard {
+    constructor(dependencies) {
+        this.chatFiles = dependencies.chatFiles;
+        this.cache = new Map(); // UUID -> Promise of { messageCount, lastMessages }
+        this.$card = null;
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+    }
+
+    /**
+     * Show the card next to a node, the messages fill in once loaded
+     * @param {Object} node - View node
+     * @param {HTMLElement} anchor - Node card element
+     */
+    async show(node, anchor) {
+        this.hide();
+
+        const escape = MessageViewerPopup.escapeHtml;
+        const branchPoint = node.data.branch_point;
+        const branchText = branchPoint === null || branchPoint === undefined
+            ? 'Root chat'
+            : `Branched at message #${branchPoint}`;
+        const createdText = node.data.created_at ? MessageViewerPopup.formatTimestamp(node.data.created_at) : 'Unknown';
+
+        const $card = $(`
+            <div class="chat-tree-preview-card" role="tooltip">
+                <div class="chat-tree-preview-name">${escape(node.name)}</div>
+                <div class="chat-tree-preview-meta">
+                    <span><i class="fa-regular fa-calendar"></i> ${escape(createdText)}</span>
+                    <span><i class="fa-solid fa-code-branch"></i> ${escape(branchText)}</span>
+                    <span class="chat-tree-preview-count"><i class="fa-solid fa-message"></i> ...</span>
+                </div>
+                ${node.data.note ? `<div class="chat-tree-preview-note"><i class="fa-solid fa-note-sticky"></i> ${escape(node.data.note)}</div>` : ''}
+                <div class="chat-tree-preview-messages">
+                    <div class="chat-tree-preview-status"><i class="fa-solid fa-spinner fa-spin"></i> Loading messages...</div>
+                </div>
+            </div>
+        `).appendTo('body');
+        this.$card = $card;
+        this.position(anchor);
+
+        try {
+            const preview = await this.getPreview(node);
+            if (this.$card !== $card) return; // Hidden or replaced meanwhile
+
+            $card.find('.chat-tree-preview-count').html(`<i class="fa-solid fa-message"></i> ${preview.messageCount} message${preview.messageCount === 1 ? '' : 's'}`);
+            const $messages = $card.find('.chat-tree-preview-messages').empty();
+            if (preview.lastMessages.length === 0) {
+                $messages.append('<div class="chat-tree-preview-status">No messages</div>');
+            }
+            for (const message of preview.lastMessages) {
+                $messages.append(`
+                    <div class="chat-tree-preview-message">
+                        <span class="chat-tree-preview-sender">${escape(message.name)}</span>
+                        <span class="chat-tree-preview-text">${escape(message.text)}</span>
+                    </div>
+                `);
+            }
+            this.position(anchor); // Height changed
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load preview:', error);
+            if (this.$card !== $card) return;
+            $card.find('.chat-tree-preview-count').remove();
+            $card.find('.chat-tree-preview-messages').html('<div class="chat-tree-preview-status">Could not load messages</div>');
+        }
+    }
+
+    /**
+     * Message count and last messages of a node's chat
+     * @param {Object} node - View node
+     * @returns {Promise<{messageCount: number, lastMessages: Array<{name: string, text: string}>}>}
+     */
+    getPreview(node) {
+        if (this.cache.has(node.id)) return this.cache.get(node.id);
+
+        const preview = this.chatFiles.getChat(node.name).then(chatData => {
+            // Drop the metadata header
+            const messages = chatData[0]?.mes === undefined ? chatData.slice(1) : chatData;
+            return {
+                messageCount: messages.length,
+                lastMessages: messages
+                    .filter(message => !message.is_system)
+                    .slice(-PREVIEW_MESSAGES)
+                    .map(message => {
+                        const text = String(message.mes || '').replace(/\s+/g, ' ').trim();
+                        return {
+                            name: message.name || 'Unknown',
+                            text: text.length > PREVIEW_TEXT_LENGTH ? `${text.substring(0, PREVIEW_TEXT_LENGTH)}...` : text
+                        };
+                    })
+            };
+        });
+        this.cache.set(node.id, preview);
+
+        // Failed fetches are not cached
+        preview.catch(() => {
+            if (this.cache.get(node.id) === preview) this.cache.delete(node.id);
+        });
+
+        return preview;
+    }
+
+    /**
+     * Forget the cached messages of a chat that changed
+     * @param {string} uuid - Branch UUID
+     */
+    invalidate(uuid) {
+        this.cache.delete(uuid);
+    }
+
+    clear() {
+        this.cache.clear();
+    }
+
+    /**
+     * Place the card beside the node, on the side with room for it
+     * @param {HTMLElement} anchor - Node card element
+     */
+    position(anchor) {
+        if (!this.$card || !anchor.isConnected) return;
+
+        const rect = anchor.getBoundingClientRect();
+        const width = this.$card.outerWidth();
+        const height = this.$card.outerHeight();
+
+        let left = rect.right + CARD_OFFSET;
+        if (left + width > window.innerWidth - 8) left = rect.left - width - CARD_OFFSET;
+        left = Math.max(8, left);
+        const top = Math.max(8, Math.min(rect.top, window.innerHeight - height - 8));
+
+        this.$card.css({ left, top });
+    }
+
+    hide() {
+        this.$card?.remove();
+        this.$card = null;
+    }
+}
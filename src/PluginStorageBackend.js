@@ -0,0 +1,201 @@
+/**
+ * PluginStorageBackend - Stores branch records through the chat-branches server plugin
+ * All methods throw on failure so callers decide how to surface errors
+ */
+
+export class PluginStorageBackend {
+    constructor(dependencies) {
+        this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        this.token = dependencies.token;
+        this.id = 'plugin';
+        this.label = 'Server plugin';
+    }
+
+    /**
+     * Update dependencies (token may be refreshed)
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.token !== undefined) this.token = dependencies.token;
+        if (dependencies.pluginBaseUrl !== undefined) this.pluginBaseUrl = dependencies.pluginBaseUrl;
+    }
+
+    /**
+     * Check if the server plugin is installed and responding
+     * @returns {Promise<boolean>}
+     */
+    async checkAvailable() {
+        try {
+            const response = await fetch(this.pluginBaseUrl, { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            console.error('[Chat Branches] Plugin check failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the branch tree of a character or group
+     * @param {string} ownerId - Character avatar or group id
+     * @returns {Promise<Array>} Root nodes with nested children
+     */
+    async getTree(ownerId) {
+        const response = await fetch(`${this.pluginBaseUrl}/tree/${encodeURIComponent(ownerId)}`, {
+            headers: {
+                'X-CSRF-Token': this.token
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Plugin request failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Plugin returned error');
+        }
+
+        return data.tree || [];
+    }
+
+    /**
+     * Fetch a single branch record
+     * @param {string} uuid - Branch UUID
+     * @returns {Promise<Object|null>} Branch record or null if not found
+     */
+    async getBranch(uuid) {
+        const response = await fetch(`${this.pluginBaseUrl}/branch/${uuid}`, {
+            headers: {
+                'X-CSRF-Token': this.token
+            }
+        });
+
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        return data?.branch || null;
+    }
+
+    /**
+     * Find branch records by chat name (across all characters and groups)
+     * @param {string} chatName - Chat name to look for
+     * @returns {Promise<Array>} Matching branch records
+     */
+    async findBranchesByChatName(chatName) {
+        const response = await fetch(`${this.pluginBaseUrl}/branches?chat_name=${encodeURIComponent(chatName)}`, {
+            headers: { 'X-CSRF-Token': this.token }
+        });
+
+        const data = await response.json();
+        return data.success ? (data.branches || []) : [];
+    }
+
+    /**
+     * Create (or overwrite) a branch record
+     * @param {Object} branchData - Branch record
+     */
+    async createBranch(branchData) {
+        const response = await fetch(`${this.pluginBaseUrl}/branch`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            },
+            body: JSON.stringify(branchData)
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to register branch');
+        }
+    }
+
+    /**
+     * Update fields of a branch record
+     * @param {string} uuid - Branch UUID
+     * @param {Object} updates - Fields to update
+     */
+    async updateBranch(uuid, updates) {
+        const response = await fetch(`${this.pluginBaseUrl}/branch/${uuid}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            },
+            body: JSON.stringify(updates)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Plugin request failed: ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Plugin returned error');
+        }
+    }
+
+    /**
+     * Delete a branch record
+     * @param {string} uuid - Branch UUID
+     * @param {boolean} cascade - Whether to delete descendant records too
+     */
+    async deleteBranch(uuid, cascade = false) {
+        const response = await fetch(`${this.pluginBaseUrl}/branch/${uuid}?cascade=${cascade}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            }
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete branch');
+        }
+    }
+
+    /**
+     * Delete every branch record of a character or group
+     * @param {string} ownerId - Character avatar or group id
+     * @returns {Promise<string|undefined>} Plugin status message
+     */
+    async deleteOwner(ownerId) {
+        const response = await fetch(`${this.pluginBaseUrl}/character/${encodeURIComponent(ownerId)}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            }
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'Failed to delete character data');
+        }
+        return result.message;
+    }
+
+    /**
+     * Read the messages of a branch directly from disk through the plugin
+     * Used as a fallback when SillyTavern's chat API cannot find the file
+     * @param {string} uuid - Branch UUID
+     * @param {string} ownerName - Character or group name
+     * @returns {Promise<Array|null>}
+     */
+    async getMessages(uuid, ownerName) {
+        const response = await fetch(`${this.pluginBaseUrl}/messages/${uuid}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': this.token
+            },
+            body: JSON.stringify({ character_name: ownerName })
+        });
+
+        if (!response.ok) return null;
+
+        const data = await response.json();
+        return data?.success ? data.messages : null;
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * SearchIndex - Locally persisted message text of every chat in a branch tree
+ * Chats are fetched once and stored in IndexedDB, keyed by branch UUID so
+ * renames do not invalidate them. The active chat is kept current from
+ * message events instead of being fetched again.
+ */
+
+import { promisifyRequest } from './IndexedDBStorageBackend.js';
+
+const DB_NAME = 'SillyTavern-ChatBranches-Search';
+const DB_VERSION = 1;
+const STORE_CHATS = 'chats';
+
+// Characters of context shown on each side of a match
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Convert chat messages to the indexed form
+ * @param {Array} messages - Chat messages (without the metadata header)
+ * @returns {Array<{id: number, name: string, text: string}>}
+ */
+function toIndexedMessages(messages) {
+    return messages.map((message, id) => ({
+        id,
+        name: message?.name || '',
+        text: String(message?.mes || '')
+    }));
+}
+
+export class SearchIndex {
+    constructor(dependencies) {
+        this.chatFiles = dependencies.chatFiles;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+    }
+
+    // =========================================================================
+    // DATABASE
+    // =========================================================================
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_CHATS)) {
+                    const store = db.createObjectStore(STORE_CHATS, { keyPath: 'uuid' });
+                    store.createIndex('owner_id', 'owner_id', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Get the chats object store inside a new transaction
+     * @param {IDBTransactionMode} mode
+     * @returns {Promise<IDBObjectStore>}
+     */
+    async getStore(mode = 'readonly') {
+        const db = await this.openDatabase();
+        return db.transaction(STORE_CHATS, mode).objectStore(STORE_CHATS);
+    }
+
+    // =========================================================================
+    // INDEXING
+    // =========================================================================
+
+    /**
+     * Make sure every chat of a tree is indexed
+     * Chats that are already indexed are not fetched again unless forced,
+     * records of branches that are no longer in the tree are removed.
+     * @param {string} ownerId - Character avatar or group id
+     * @param {Array<{uuid: string, chat_name: string}>} branches - Every branch of the owner
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Fetch every chat again
+     * @param {Function} [options.onProgress] - Called with (done, total)
+     * @returns {Promise<number>} Number of chats fetched
+     */
+    async buildIndex(ownerId, branches, options = {}) {
+        const { force = false, onProgress } = options;
+
+        const existing = await promisifyRequest((await this.getStore()).index('owner_id').getAll(ownerId));
+        const existingByUuid = new Map(existing.map(record => [record.uuid, record]));
+        const branchUuids = new Set(branches.map(branch => branch.uuid));
+
+        // Forget deleted branches
+        for (const record of existing) {
+            if (!branchUuids.has(record.uuid)) {
+                await promisifyRequest((await this.getStore('readwrite')).delete(record.uuid));
+            }
+        }
+
+        let fetched = 0;
+        for (let i = 0; i < branches.length; i++) {
+            const branch = branches[i];
+            const record = existingByUuid.get(branch.uuid);
+            onProgress?.(i, branches.length);
+
+            if (record && !force) {
+                // Renamed chats keep their content
+                if (record.chat_name !== branch.chat_name) {
+                    record.chat_name = branch.chat_name;
+                    await promisifyRequest((await this.getStore('readwrite')).put(record));
+                }
+                continue;
+            }
+
+            try {
+                const chatData = await this.chatFiles.getChat(branch.chat_name);
+                // Drop the metadata header, message ids are positions in the chat
+                const messages = chatData[0]?.mes === undefined ? chatData.slice(1) : chatData;
+                await this.indexChat(ownerId, branch.uuid, branch.chat_name, messages);
+                fetched++;
+            } catch (error) {
+                console.warn('[Chat Branches] Could not index chat:', branch.chat_name, error);
+            }
+        }
+
+        onProgress?.(branches.length, branches.length);
+        return fetched;
+    }
+
+    /**
+     * Store the messages of one chat, replacing what was indexed before
+     * @param {string} ownerId - Character avatar or group id
+     * @param {string} uuid - Branch UUID
+     * @param {string} chatName - Chat name (without .jsonl extension)
+     * @param {Array} messages - Chat messages (without the metadata header)
+     */
+    async indexChat(ownerId, uuid, chatName, messages) {
+        const store = await this.getStore('readwrite');
+        await promisifyRequest(store.put({
+            uuid,
+            owner_id: ownerId,
+            chat_name: String(chatName),
+            messages: toIndexedMessages(messages),
+            indexed_at: Date.now()
+        }));
+    }
+
+    /**
+     * Update a single message of an indexed chat
+     * Chats that are not indexed yet are left for the next buildIndex.
+     * @param {string} uuid - Branch UUID
+     * @param {number} messageId - Message position in the chat
+     * @param {Object} message - Chat message
+     */
+    async updateMessage(uuid, messageId, message) {
+        const store = await this.getStore('readwrite');
+        const record = await promisifyRequest(store.get(uuid));
+        if (!record) return;
+
+        record.messages[messageId] = {
+            id: messageId,
+            name: message?.name || '',
+            text: String(message?.mes || '')
+        };
+        record.indexed_at = Date.now();
+        await promisifyRequest(store.put(record));
+    }
+
+    /**
+     * Check if a chat is indexed
+     * @param {string} uuid - Branch UUID
+     * @returns {Promise<boolean>}
+     */
+    async hasChat(uuid) {
+        const store = await this.getStore();
+        return !!(await promisifyRequest(store.getKey(uuid)));
+    }
+
+    /**
+     * Remove everything indexed for a character or group
+     * @param {string} ownerId - Character avatar or group id
+     */
+    async deleteOwner(ownerId) {
+        const store = await this.getStore('readwrite');
+        const keys = await promisifyRequest(store.index('owner_id').getAllKeys(ownerId));
+        for (const key of keys) {
+            await promisifyRequest(store.delete(key));
+        }
+    }
+
+    // =========================================================================
+    // SEARCH
+    // =========================================================================
+
+    /**
+     * Find messages containing every word of the query (case-insensitive)
+     * @param {string} ownerId - Character avatar or group id
+     * @param {string} query - Search text
+     * @param {number} [limit=200] - Maximum number of results
+     * @returns {Promise<Array<{uuid: string, chat_name: string, message_id: number, name: string, snippet: string, term: string}>>}
+     */
+    async search(ownerId, query, limit = 200) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const records = await promisifyRequest((await this.getStore()).index('owner_id').getAll(ownerId));
+        const results = [];
+
+        for (const record of records) {
+            for (const message of record.messages) {
+                if (!message) continue;
+                const lowerText = message.text.toLowerCase();
+                if (!terms.every(term => lowerText.includes(term))) continue;
+
+                results.push({
+                    uuid: record.uuid,
+                    chat_name: record.chat_name,
+                    message_id: message.id,
+                    name: message.name,
+                    snippet: SearchIndex.buildSnippet(message.text, lowerText.indexOf(terms[0]), terms[0].length),
+                    term: terms[0]
+                });
+                if (results.length >= limit) return results;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Cut the text around a match
+     * @param {string} text - Full message text
+     * @param {number} matchIndex - Position of the match
+     * @param {number} matchLength - Length of the match
+     * @returns {string}
+     */
+    static buildSnippet(text, matchIndex, matchLength) {
+        const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+        const end = Math.min(text.length, matchIndex + matchLength + SNIPPET_RADIUS);
+        return `${start > 0 ? '...' : ''}${text.substring(start, end)}${end < text.length ? '...' : ''}`.replace(/\s+/g, ' ');
+    }
+}
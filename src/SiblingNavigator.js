@@ -0,0 +1,125 @@
+/**
+ * SiblingNavigator - "‹ 2/3 ›" controls in the main chat
+ * Flips between branches made from the same message of the same parent chat,
+ * without opening the tree view. The controls sit on the first message after
+ * the branch point (or on the branch point itself while nothing follows it).
+ */
+
+import { BranchTreeCache } from './BranchTreeCache.js';
+
+export class SiblingNavigator {
+    constructor(dependencies) {
+        this.treeCache = dependencies.treeCache;
+        this.chatFiles = dependencies.chatFiles;
+
+        this.siblings = []; // Branch records sharing parent and branch point, current one included
+        this.currentIndex = -1;
+        this.branchPoint = null;
+        this.refreshId = 0; // Ignores refreshes that finish after a newer one started
+        this.isSwitching = false;
+        this.scrollOnRender = false; // Bring the controls into view after switching
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.treeCache !== undefined) this.treeCache = dependencies.treeCache;
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+    }
+
+    /**
+     * Load the siblings of the active chat and show the controls
+     * @param {Object} chatMetadata - Metadata of the active chat
+     */
+    async refresh(chatMetadata) {
+        const refreshId = ++this.refreshId;
+        this.clear();
+
+        const uuid = chatMetadata?.uuid;
+        const parentUuid = chatMetadata?.parent_uuid;
+        const ownerId = this.chatFiles.getOwnerId();
+        if (!uuid || !parentUuid || !ownerId) return;
+
+        try {
+            const tree = await this.treeCache.getTree(ownerId);
+            if (refreshId !== this.refreshId) return;
+
+            const parent = BranchTreeCache.findNode(tree, parentUuid);
+            const current = parent?.children?.find(child => child.uuid === uuid);
+            if (!current || current.branch_point === null || current.branch_point === undefined) return;
+
+            // Children come sorted by creation, which gives a stable order
+            this.siblings = parent.children.filter(child => child.branch_point === current.branch_point);
+            this.currentIndex = this.siblings.indexOf(current);
+            this.branchPoint = Number(current.branch_point);
+            this.render();
+        } catch (error) {
+            console.warn('[Chat Branches] Could not load sibling branches:', error);
+        }
+    }
+
+    /**
+     * Forget the siblings and remove the controls
+     */
+    clear() {
+        this.siblings = [];
+        this.currentIndex = -1;
+        this.branchPoint = null;
+        $('.chat-branches-sibling-nav').remove();
+    }
+
+    /**
+     * (Re)attach the controls, call after messages are rendered
+     */
+    render() {
+        $('.chat-branches-sibling-nav').remove();
+        if (this.siblings.length < 2 || this.branchPoint === null) return;
+
+        let $message = $(`#chat .mes[mesid="${this.branchPoint + 1}"]`);
+        if (!$message.length) $message = $(`#chat .mes[mesid="${this.branchPoint}"]`);
+        if (!$message.length) return; // Not loaded yet, MORE_MESSAGES_LOADED renders again
+
+        const count = this.siblings.length;
+        const position = this.currentIndex + 1;
+        const $nav = $(`
+            <div class="chat-branches-sibling-nav" title="Branches made from message #${this.branchPoint}">
+                <div class="chat-branches-sibling-prev fa-solid fa-chevron-left ${position === 1 ? 'disabled' : ''}" title="Previous branch"></div>
+                <span class="chat-branches-sibling-count">${position}/${count}</span>
+                <div class="chat-branches-sibling-next fa-solid fa-chevron-right ${position === count ? 'disabled' : ''}" title="Next branch"></div>
+            </div>
+        `);
+
+        $nav.find('.chat-branches-sibling-prev').on('click', () => this.go(-1));
+        $nav.find('.chat-branches-sibling-next').on('click', () => this.go(1));
+        $message.find('.mes_block').append($nav);
+
+        if (this.scrollOnRender) {
+            this.scrollOnRender = false;
+            $message[0].scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Open the previous or next sibling branch
+     * @param {number} offset - -1 for previous, 1 for next
+     */
+    async go(offset) {
+        const target = this.siblings[this.currentIndex + offset];
+        if (!target || this.isSwitching) return;
+
+        this.isSwitching = true;
+        this.scrollOnRender = true;
+        try {
+            // CHAT_CHANGED refreshes the controls for the opened branch
+            await this.chatFiles.openChat(target.chat_name);
+        } catch (error) {
+            this.scrollOnRender = false;
+            console.error('[Chat Branches] Could not open sibling branch:', error);
+            toastr.error('Failed to open branch');
+        } finally {
+            this.isSwitching = false;
+        }
+    }
+}
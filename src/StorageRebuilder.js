@@ -1,7 +1,7 @@
 /**
- * StorageRebuilder - Rebuilds plugin storage from chat files with existing UUIDs
+ * StorageRebuilder - Rebuilds branch storage from chat files with existing UUIDs
  * Unlike ChatMigrator, this does NOT modify chat files - it only reads metadata
- * and rebuilds the plugin storage from chats that already have UUIDs
+ * and rebuilds the branch storage from chats that already have UUIDs
  */
 
 import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../../../scripts/popup.js';
@@ -24,9 +24,10 @@ export class StorageRebuilder {
         this.token = dependencies.token;
         this.extensionName = dependencies.extensionName;
         this.uuidv4 = dependencies.uuidv4;
-        this.registerBranchWithPlugin = dependencies.registerBranchWithPlugin;
-        this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        this.registerBranch = dependencies.registerBranch;
+        this.storage = dependencies.storage;
         this.selected_group = dependencies.selected_group;
+        this.chatFiles = dependencies.chatFiles;
 
         // State
         this.isRebuilding = false;
@@ -42,33 +43,23 @@ export class StorageRebuilder {
         }
 
         try {
-            // Skip group chats - this extension only works with character chats
-            if (this.selected_group) {
-                toastr.error('Group chats are not supported by this extension', 'Storage Rebuild');
-                return;
-            }
-
             // Validate dependencies
-            if (!this.characters || this.this_chid === undefined || this.this_chid === null) {
-                toastr.error('No character selected', 'Storage Rebuild');
+            if (!this.chatFiles.hasOwner()) {
+                toastr.error('No character or group selected', 'Storage Rebuild');
                 return;
             }
 
-            const character = this.characters[this.this_chid];
-            if (!character) {
-                toastr.error('Selected character not found', 'Storage Rebuild');
-                return;
-            }
+            const ownerLabel = this.chatFiles.isGroup() ? 'group' : 'character';
 
             // Check if storage exists
-            const storageExists = await this.checkStorageExists(character.avatar);
+            const storageExists = await this.checkStorageExists(this.chatFiles.getOwnerId());
 
             // Build dialog content based on storage state
             let dialogContent;
             if (storageExists) {
                 dialogContent = '<div style="text-align: center;">' +
                     '<i class="fa-solid fa-triangle-exclamation" style="font-size: 48px; color: #f59e0b; margin-bottom: 16px;"></i>' +
-                    '<p><strong>Storage already exists for this character.</strong></p>' +
+                    `<p><strong>Storage already exists for this ${ownerLabel}.</strong></p>` +
                     '<p>This will merge/add branches from chat files to the existing storage.</p>' +
                     '<p>Only chats with UUIDs will be processed.</p>' +
                     '<p style="font-size: 0.9em; opacity: 0.7; margin-top: 8px;">Use this if storage is corrupted or missing branches.</p>' +
@@ -76,7 +67,7 @@ export class StorageRebuilder {
             } else {
                 dialogContent = '<div style="text-align: center;">' +
                     '<i class="fa-solid fa-circle-info" style="font-size: 48px; color: #3b82f6; margin-bottom: 16px;"></i>' +
-                    '<p><strong>No storage found for this character.</strong></p>' +
+                    `<p><strong>No storage found for this ${ownerLabel}.</strong></p>` +
                     '<p>This will rebuild storage from chat files with UUIDs.</p>' +
                     '<p>Only chats with UUIDs will be processed.</p>' +
                     '<p style="font-size: 0.9em; opacity: 0.7; margin-top: 8px;">Chats without UUIDs will be skipped.</p>' +
@@ -101,27 +92,15 @@ export class StorageRebuilder {
     }
 
     /**
-     * Check if storage exists for a character
-     * @param {string} characterId - Character avatar ID
+     * Check if storage exists for a character or group
+     * @param {string} ownerId - Character avatar or group ID
      * @returns {Promise<boolean>} - True if storage exists
      */
-    async checkStorageExists(characterId) {
+    async checkStorageExists(ownerId) {
         try {
-            const response = await fetch(`${this.pluginBaseUrl}/tree/${characterId}`, {
-                headers: { 'X-CSRF-Token': this.token }
-            });
-
-            if (!response.ok) {
-                // If 404, storage doesn't exist
-                if (response.status === 404) {
-                    return false;
-                }
-                throw new Error('Failed to check storage');
-            }
-
-            const data = await response.json();
-            // Storage exists if we have a successful response with a tree
-            return data.success && data.tree && data.tree.length > 0;
+            const tree = await this.storage.getTree(ownerId);
+            // Storage exists if the tree has at least one branch
+            return Array.isArray(tree) && tree.length > 0;
         } catch (error) {
             console.error('StorageRebuilder: Error checking storage:', error);
             // Assume storage doesn't exist on error
@@ -136,20 +115,12 @@ export class StorageRebuilder {
         if (this.isRebuilding) return;
 
         try {
-            // Skip group chats
-            if (this.selected_group) {
-                throw new Error('Group chats are not supported by this extension');
-            }
-
             // Validate dependencies
-            if (!this.characters || this.this_chid === undefined || this.this_chid === null) {
-                throw new Error('No character selected');
+            if (!this.chatFiles.hasOwner()) {
+                throw new Error('No character or group selected');
             }
 
-            const character = this.characters[this.this_chid];
-            if (!character) {
-                throw new Error('Selected character not found');
-            }
+            const ownerId = this.chatFiles.getOwnerId();
 
             this.isRebuilding = true;
 
@@ -162,7 +133,7 @@ export class StorageRebuilder {
             });
 
             // Start rebuild and close popup when done
-            const rebuildPromise = this.rebuildStorageFromChats(character, progressPopup).then(result => {
+            const rebuildPromise = this.rebuildStorageFromChats(ownerId, progressPopup).then(result => {
                 progressPopup.complete(POPUP_RESULT.AFFIRMATIVE);
                 return result;
             });
@@ -187,7 +158,7 @@ export class StorageRebuilder {
             } else {
                 let summaryText;
                 if (result.processedCount === 0 && result.skippedCount === 0) {
-                    summaryText = 'No chats found for this character';
+                    summaryText = `No chats found for this ${this.chatFiles.isGroup() ? 'group' : 'character'}`;
                 } else if (result.skippedCount > 0) {
                     summaryText = `${result.processedCount} branches rebuilt, ${result.skippedCount} chats skipped (no UUID)`;
                 } else {
@@ -248,9 +219,10 @@ export class StorageRebuilder {
     }
 
     /**
-     * Rebuild storage from all chats for a character
+     * Rebuild storage from all chats for a character or group
+     * @param {string} ownerId - Character avatar or group ID the branches are stored under
      */
-    async rebuildStorageFromChats(character, progressPopup) {
+    async rebuildStorageFromChats(ownerId, progressPopup) {
         let processedCount = 0;
         let skippedCount = 0;
         const BATCH_SIZE = 50;
@@ -258,7 +230,7 @@ export class StorageRebuilder {
         try {
             // Fetch all chats
             this.updateProgress(0, 0, 'Fetching chats...');
-            const chats = await this.fetchAllChats(character);
+            const chats = await this.fetchAllChats();
 
             if (!chats || chats.length === 0) {
                 return { processedCount: 0, skippedCount: 0 };
@@ -274,7 +246,7 @@ export class StorageRebuilder {
 
             for (let i = 0; i < chats.length; i++) {
                 const chatData = chats[i];
-                const chatName = chatData.file_name.replace(/\.jsonl$/g, '');
+                const chatName = String(chatData.file_name).replace(/\.jsonl$/g, '');
 
                 try {
                     this.updateProgress(i, chats.length, `Reading ${chatName}...`);
@@ -287,7 +259,7 @@ export class StorageRebuilder {
                     }
 
                     // Fetch the full chat data
-                    const fullChatData = await this.fetchFullChatData(character, chatName);
+                    const fullChatData = await this.fetchFullChatData(chatName);
 
                     if (fullChatData && Array.isArray(fullChatData) && fullChatData.length > 0) {
                         const firstEntry = fullChatData[0];
@@ -298,6 +270,12 @@ export class StorageRebuilder {
                             const parentUuid = firstEntry.chat_metadata.parent_uuid || null;
                             const rootUuid = firstEntry.chat_metadata.root_uuid || uuid;
                             const branchPoint = firstEntry.chat_metadata.branch_point || null;
+                            const note = firstEntry.chat_metadata.branch_note || null;
+                            const tags = Array.isArray(firstEntry.chat_metadata.branch_tags) ? firstEntry.chat_metadata.branch_tags : [];
+                            const color = firstEntry.chat_metadata.branch_color || null;
+                            const favorite = !!firstEntry.chat_metadata.branch_favorite;
+                            const rating = Number(firstEntry.chat_metadata.branch_rating) || null;
+                            const canonicalChild = firstEntry.chat_metadata.branch_canonical_child || null;
 
                             // Check for duplicate UUID (data corruption issue)
                             if (uuidToChatName.has(uuid)) {
@@ -314,9 +292,16 @@ export class StorageRebuilder {
                                 uuid,
                                 parent_uuid: parentUuid,
                                 root_uuid: rootUuid,
-                                character_id: character.avatar,
+                                character_id: ownerId,
                                 chat_name: String(chatName), // Ensure string to prevent "used as a key" warnings
                                 branch_point: branchPoint,
+                                message_count: fullChatData.length - 1, // Without the metadata header
+                                note,
+                                tags,
+                                color,
+                                favorite,
+                                rating,
+                                canonical_child: canonicalChild,
                                 created_at: chatData.create_date || Date.now()
                             });
                         } else {
@@ -365,8 +350,8 @@ export class StorageRebuilder {
                     try {
                         this.updateProgress(globalIndex, sortedBranches.length, `Registering ${branchData.chat_name}...`);
 
-                        // Register with plugin
-                        await this.registerBranchWithPlugin(branchData);
+                        // Register with branch storage
+                        await this.registerBranch(branchData);
 
                         processedCount++;
                     } catch (error) {
@@ -480,47 +465,17 @@ export class StorageRebuilder {
     }
 
     /**
-     * Fetch all chats for a character
+     * Fetch all chats for the active character or group
      */
-    async fetchAllChats(character) {
-        const response = await fetch('/api/characters/chats', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.token
-            },
-            body: JSON.stringify({ avatar_url: character.avatar })
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch chats');
-        }
-
-        return await response.json();
+    async fetchAllChats() {
+        return await this.chatFiles.listChats();
     }
 
     /**
      * Fetch full chat data
      */
-    async fetchFullChatData(character, chatName) {
-        const response = await fetch('/api/chats/get', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': this.token
-            },
-            body: JSON.stringify({
-                ch_name: character.name,
-                file_name: chatName,
-                avatar_url: character.avatar
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`Failed to fetch chat data: ${chatName}`);
-        }
-
-        return await response.json();
+    async fetchFullChatData(chatName) {
+        return await this.chatFiles.getChat(chatName);
     }
 
     /**
@@ -531,10 +486,12 @@ export class StorageRebuilder {
         if (dependencies.this_chid !== undefined) this.this_chid = dependencies.this_chid;
         if (dependencies.token !== undefined) this.token = dependencies.token;
         if (dependencies.uuidv4 !== undefined) this.uuidv4 = dependencies.uuidv4;
-        if (dependencies.registerBranchWithPlugin !== undefined) {
-            this.registerBranchWithPlugin = dependencies.registerBranchWithPlugin;
+        if (dependencies.registerBranch !== undefined) {
+            this.registerBranch = dependencies.registerBranch;
         }
-        if (dependencies.pluginBaseUrl !== undefined) this.pluginBaseUrl = dependencies.pluginBaseUrl;
+        if (dependencies.storage !== undefined) this.storage = dependencies.storage;
         if (dependencies.selected_group !== undefined) this.selected_group = dependencies.selected_group;
+        if (dependencies.chatFiles !== undefined) this.chatFiles = dependencies.chatFiles;
+        this.chatFiles.updateDependencies(dependencies);
     }
 }
@@ -0,0 +1,221 @@
+/**
+ * SyncQueue - Durable queue for branch storage writes
+ * When the server plugin cannot be reached, create/update/delete operations are
+ * persisted to localStorage and replayed in order once the plugin responds again.
+ * Writes the running plugin rejects are not queued, they fail like browser
+ * storage (IndexedDB) writes, which are never queued.
+ */
+
+const DEFAULT_STORAGE_KEY = 'chat_branches_sync_queue';
+const DEFAULT_RETRY_INTERVAL = 30000;
+
+// Storage methods that may be queued
+const QUEUEABLE_OPERATIONS = ['createBranch', 'updateBranch', 'deleteBranch', 'deleteOwner'];
+
+export class SyncQueue {
+    constructor(dependencies) {
+        this.storage = dependencies.storage;
+        this.storageKey = dependencies.storageKey || DEFAULT_STORAGE_KEY;
+        this.retryInterval = dependencies.retryInterval || DEFAULT_RETRY_INTERVAL;
+
+        // State
+        this.queue = this.load();
+        this.flushPromise = null; // Flush in progress, shared by concurrent callers
+        this.available = null; // Plugin availability at the last check, null until checked
+        this.retryTimer = null;
+        this.changeCallbacks = [];
+        this.availabilityCallbacks = [];
+    }
+
+    /**
+     * Update dependencies
+     * @param {Object} dependencies - Updated dependencies
+     */
+    updateDependencies(dependencies) {
+        if (dependencies.storage !== undefined) this.storage = dependencies.storage;
+    }
+
+    // =========================================================================
+    // PERSISTENCE
+    // =========================================================================
+
+    /**
+     * Read the persisted queue
+     * @returns {Array} Queued operations, oldest first
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('[Chat Branches] Failed to read sync queue, starting empty:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the queue and notify listeners
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+        } catch (error) {
+            console.error('[Chat Branches] Failed to persist sync queue:', error);
+        }
+        this.changeCallbacks.forEach(callback => callback(this.queue.length));
+    }
+
+    // =========================================================================
+    // PUBLIC API
+    // =========================================================================
+
+    /**
+     * @returns {number} Number of operations waiting to be replayed
+     */
+    getPendingCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Register a callback called with the pending count whenever the queue changes
+     * @param {Function} callback
+     */
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    /**
+     * Register a callback called with true or false whenever the plugin comes back or goes away
+     * @param {Function} callback
+     */
+    onAvailabilityChange(callback) {
+        this.availabilityCallbacks.push(callback);
+    }
+
+    /**
+     * Run a storage write, queueing it if the plugin cannot be reached
+     * While older operations are pending, new ones are queued behind them to keep order.
+     * @param {string} operation - Storage method name (createBranch, updateBranch, ...)
+     * @param {...any} args - Arguments for the storage method
+     * @returns {Promise<any>} Result of the write, or undefined if it was queued
+     * @throws {Error} If the plugin is running and rejects the write
+     */
+    async submit(operation, ...args) {
+        if (!QUEUEABLE_OPERATIONS.includes(operation)) {
+            throw new Error(`Unknown storage operation: ${operation}`);
+        }
+
+        if (!this.storage.isPluginBackend()) {
+            return await this.storage[operation](...args);
+        }
+
+        if (this.queue.length > 0) {
+            this.enqueue(operation, args);
+            this.flush();
+            return;
+        }
+
+        try {
+            return await this.storage[operation](...args);
+        } catch (error) {
+            // A running plugin rejected the write, replaying it would fail again
+            if (await this.checkAvailable()) throw error;
+
+            console.warn(`[Chat Branches] ${operation} failed, queued for sync:`, error);
+            this.enqueue(operation, args);
+        }
+    }
+
+    /**
+     * Replay queued operations in order
+     * Stops at the first failure while the plugin is unreachable. If the plugin is up
+     * and an operation still fails, it can never succeed and is dropped.
+     * Until the plugin is known to respond, an empty queue still checks whether it is back.
+     * @returns {Promise<boolean>} True if the queue is empty afterwards
+     */
+    flush() {
+        if (this.flushPromise) return this.flushPromise;
+        if (!this.storage.isPluginBackend()) return Promise.resolve(this.queue.length === 0);
+        if (this.queue.length === 0 && this.available === true) return Promise.resolve(true);
+
+        this.flushPromise = this.replay().finally(() => {
+            this.flushPromise = null;
+        });
+        return this.flushPromise;
+    }
+
+    /**
+     * Periodically retry pending operations
+     */
+    start() {
+        if (this.retryTimer) return;
+        this.retryTimer = setInterval(() => this.flush(), this.retryInterval);
+        this.flush();
+    }
+
+    /**
+     * Stop retrying pending operations
+     */
+    stop() {
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+    }
+
+    // =========================================================================
+    // INTERNALS
+    // =========================================================================
+
+    /**
+     * Check if the plugin responds, notifying listeners when that changed
+     * @returns {Promise<boolean>}
+     */
+    async checkAvailable() {
+        const available = await this.storage.checkAvailable();
+        if (available !== this.available) {
+            this.available = available;
+            this.availabilityCallbacks.forEach(callback => callback(available));
+        }
+        return available;
+    }
+
+    /**
+     * Replay the queue, see flush()
+     * @returns {Promise<boolean>} True if the queue is empty afterwards
+     */
+    async replay() {
+        if (!await this.checkAvailable()) return false;
+
+        while (this.queue.length > 0) {
+            const entry = this.queue[0];
+            try {
+                await this.storage[entry.operation](...entry.args);
+            } catch (error) {
+                if (!await this.checkAvailable()) {
+                    console.warn('[Chat Branches] Plugin unreachable, pausing sync:', error);
+                    return false;
+                }
+                console.error(`[Chat Branches] Dropping queued ${entry.operation} rejected by the plugin:`, error, entry.args);
+            }
+
+            this.queue.shift();
+            this.save();
+        }
+
+        console.log('[Chat Branches] Sync queue flushed');
+        return true;
+    }
+
+    /**
+     * Append an operation to the queue
+     * @param {string} operation - Storage method name
+     * @param {Array} args - Arguments for the storage method
+     */
+    enqueue(operation, args) {
+        this.queue.push({
+            operation,
+            args: JSON.parse(JSON.stringify(args)),
+            queued_at: Date.now()
+        });
+        this.save();
+    }
+}
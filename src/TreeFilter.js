@@ -0,0 +1,175 @@
+/**
+ * TreeFilter - Parses and evaluates tree filter queries
+ * Plain words match chat names or branch notes (case-insensitive), structured
+ * terms compare node properties: depth:>3, created:<2025-01-01, children:0,
+ * branch_point:>100, tag:canon (tag:any / tag:none for tagged / untagged
+ * branches), note:betrays (note:any / note:none for branches with / without a note).
+ * All terms must match.
+ */
+
+export const FILTER_HELP = 'Filter by chat name or note. Structured terms: depth:>3, created:<2025-01-01, children:0 (leaves), branch_point:>100, tag:canon (tag:any, tag:none), note:text (note:any, note:none)';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Structured term keys and how each reads its value from a view node
+const FIELDS = {
+    depth: { type: 'number', get: node => getDepth(node) },
+    children: { type: 'number', get: node => node.children?.length || 0 },
+    branch_point: { type: 'number', get: node => node.data?.branch_point ?? null },
+    created: { type: 'date', get: node => parseDate(node.data?.created_at) },
+    tag: { type: 'tag', get: node => (node.data?.tags || []).map(tag => String(tag).toLowerCase()) },
+    note: { type: 'note', get: node => String(node.data?.note || '').toLowerCase() }
+};
+
+const TERM_PATTERN = /^([a-z_]+):(>=|<=|>|<|=)?(.+)$/i;
+
+/**
+ * Count the ancestors of a view node (roots are depth 0)
+ * @param {Object} node - View node with a parent reference
+ * @returns {number}
+ */
+function getDepth(node) {
+    let depth = 0;
+    for (let parent = node.parent; parent; parent = parent.parent) depth++;
+    return depth;
+}
+
+/**
+ * Convert a stored or typed date to a timestamp
+ * Accepts timestamps, ISO dates (YYYY-MM-DD is read as local midnight)
+ * and SillyTavern's humanized dates (2025-01-01@12h30m15s).
+ * @param {number|string} value
+ * @returns {number|null} Milliseconds since epoch
+ */
+function parseDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    const humanized = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:\s*@(\d{1,2})h\s*(\d{1,2})m\s*(?:(\d{1,2})s)?.*)?$/);
+    if (humanized) {
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = humanized;
+        return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)).getTime();
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+export class TreeFilter {
+    /**
+     * @param {string} query - Filter text
+     */
+    constructor(query) {
+        this.query = String(query || '').trim();
+        this.words = []; // Lowercase words matched against the chat name or note
+        this.conditions = []; // { key, op, value, dayOnly }
+        this.errors = [];
+        this.parse();
+    }
+
+    parse() {
+        for (const token of this.query.split(/\s+/).filter(Boolean)) {
+            const match = token.match(TERM_PATTERN);
+            const field = match && FIELDS[match[1].toLowerCase()];
+
+            // Unknown keys are part of the name (chat names may contain colons)
+            if (!field) {
+                this.words.push(token.toLowerCase());
+                continue;
+            }
+
+            const key = match[1].toLowerCase();
+            const op = match[2] || '=';
+            const rawValue = match[3];
+
+            // Tags and notes only match by text
+            if (field.type === 'tag' || field.type === 'note') {
+                if (match[2]) this.errors.push(`${field.type === 'tag' ? 'Tags' : 'Notes'} cannot be compared: ${token}`);
+                else this.conditions.push({ key, op, value: rawValue.toLowerCase(), dayOnly: false });
+                continue;
+            }
+
+            const value = field.type === 'date' ? parseDate(rawValue) : Number(rawValue);
+
+            if (value === null || Number.isNaN(value)) {
+                this.errors.push(`Invalid value for ${key}: ${rawValue}`);
+                continue;
+            }
+
+            // A bare date without a time covers the whole day for "="
+            const dayOnly = field.type === 'date' && /^\d{4}-\d{1,2}-\d{1,2}$/.test(rawValue);
+            this.conditions.push({ key, op, value, dayOnly });
+        }
+    }
+
+    /**
+     * Check if the filter has anything to match
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.words.length === 0 && this.conditions.length === 0;
+    }
+
+    /**
+     * Check if a view node matches every term
+     * @param {Object} node - View node (id, name, children, data, parent)
+     * @returns {boolean}
+     */
+    matches(node) {
+        const name = String(node.name || '').toLowerCase();
+        const note = String(node.data?.note || '').toLowerCase();
+        if (!this.words.every(word => name.includes(word) || note.includes(word))) return false;
+
+        return this.conditions.every(condition => {
+            const field = FIELDS[condition.key];
+            const actual = field.get(node);
+            if (field.type === 'tag') return TreeFilter.matchTag(actual, condition.value);
+            if (field.type === 'note') return TreeFilter.matchNote(actual, condition.value);
+            if (actual === null || actual === undefined) return false;
+            return TreeFilter.compare(actual, condition);
+        });
+    }
+
+    /**
+     * Check a node's tags against a tag term
+     * @param {string[]} tags - Lowercase tags of the node
+     * @param {string} value - Tag name, or "any" / "none"
+     * @returns {boolean}
+     */
+    static matchTag(tags, value) {
+        if (value === 'any') return tags.length > 0;
+        if (value === 'none') return tags.length === 0;
+        return tags.includes(value);
+    }
+
+    /**
+     * Check a node's note against a note term
+     * @param {string} note - Lowercase note of the node, empty if none
+     * @param {string} value - Text to find, or "any" / "none"
+     * @returns {boolean}
+     */
+    static matchNote(note, value) {
+        if (value === 'any') return note.length > 0;
+        if (value === 'none') return note.length === 0;
+        return note.includes(value);
+    }
+
+    /**
+     * Compare a node value against one condition
+     * @param {number} actual - Node value
+     * @param {Object} condition - Parsed condition
+     * @returns {boolean}
+     */
+    static compare(actual, { op, value, dayOnly }) {
+        // Whole-day dates: ">" is after the day, "<=" includes it
+        const end = dayOnly ? value + DAY_MS : value;
+        switch (op) {
+            case '>': return dayOnly ? actual >= end : actual > value;
+            case '>=': return actual >= value;
+            case '<': return actual < value;
+            case '<=': return dayOnly ? actual < end : actual <= value;
+            default: return dayOnly ? actual >= value && actual < end : actual === value;
+        }
+    }
+}
@@ -0,0 +1,378 @@
+/**
+ * TreeLayout - Computes node positions of the branch tree in memory
+ * Supports several shapes (see LAYOUT_MODES): the top-down family tree, the
+ * same tree growing left to right, an indented outline like a file explorer
+ * and a radial overview. Nothing is measured in the DOM, so the view can
+ * materialize only the nodes inside the viewport.
+ */
+
+export const LAYOUT_SIZES = {
+    default: { nodeWidth: 160, nodeHeight: 40, gapX: 20, gapY: 40, padding: 50 },
+    compact: { nodeWidth: 120, nodeHeight: 40, gapX: 12, gapY: 30, padding: 30 }
+};
+
+export const LAYOUT_MODES = {
+    TOP_DOWN: 'top-down',
+    LEFT_RIGHT: 'left-right',
+    OUTLINE: 'outline',
+    RADIAL: 'radial'
+};
+
+export const LAYOUT_MODE_LABELS = {
+    [LAYOUT_MODES.TOP_DOWN]: 'Top-down',
+    [LAYOUT_MODES.LEFT_RIGHT]: 'Left to right',
+    [LAYOUT_MODES.OUTLINE]: 'Outline',
+    [LAYOUT_MODES.RADIAL]: 'Radial'
+};
+
+const OUTLINE_INDENT = 24; // px per depth level in the outline
+const OUTLINE_ROW_GAP = 6;
+const OUTLINE_MAX_PADDING = 20;
+
+/**
+ * Visible nodes in pre-order
+ * Iterative on purpose: a long linear chat history is a very deep tree.
+ * @param {Array} roots - View nodes
+ * @param {Function} shownChildren - Returns the children shown below a node
+ * @returns {Array<{node: Object, depth: number, parent: Object|null}>}
+ */
+function listVisible(roots, shownChildren) {
+    const visible = [];
+    const stack = [...roots].reverse().map(node => ({ node, depth: 0, parent: null }));
+    while (stack.length) {
+        const entry = stack.pop();
+        visible.push(entry);
+        const children = shownChildren(entry.node);
+        for (let i = children.length - 1; i >= 0; i--) {
+            stack.push({ node: children[i], depth: entry.depth + 1, parent: entry.node });
+        }
+    }
+    return visible;
+}
+
+/**
+ * Space every subtree needs along the sibling axis, children before parents
+ * @param {Array} visible - Result of listVisible()
+ * @param {Function} shownChildren - Returns the children shown below a node
+ * @param {number} breadth - Node size along the sibling axis
+ * @param {number} gap - Space between sibling subtrees
+ * @returns {{spans: Map, childrenSpan: Function}}
+ */
+function measureSpans(visible, shownChildren, breadth, gap) {
+    const spans = new Map();
+    const childrenSpan = node => {
+        const children = shownChildren(node);
+        if (children.length === 0) return 0;
+        return children.reduce((sum, child) => sum + spans.get(child), 0) + gap * (children.length - 1);
+    };
+    for (let i = visible.length - 1; i >= 0; i--) {
+        spans.set(visible[i].node, Math.max(breadth, childrenSpan(visible[i].node)));
+    }
+    return { spans, childrenSpan };
+}
+
+export class TreeLayout {
+    constructor(sizes = LAYOUT_SIZES.default, mode = LAYOUT_MODES.TOP_DOWN) {
+        this.sizes = sizes;
+        this.mode = mode;
+        this.positions = new Map(); // uuid -> { x, y, node, depth }
+        this.edges = []; // { from, to, folded } positions of parent and child, nodes folded between them
+        this.order = []; // Visible view nodes in pre-order, for keyboard navigation
+        this.roots = [];
+        this.parents = new Map(); // uuid -> view node shown above it (differs from node.parent past a folded chain)
+        this.shownChildren = new Map(); // uuid -> view nodes shown below it
+        this.folds = new Map(); // uuid -> view nodes folded into the edge above it
+        this.width = 0;
+        this.height = 0;
+    }
+
+    /**
+     * Lay out the visible part of the trees
+     * @param {Array} roots - View nodes to lay out side by side
+     * @param {Function} isExpanded - Called with a view node, true if its children are shown
+     * @param {number} [minWidth=0] - Narrower top-down trees are centered in this width
+     * @param {Object} [options]
+     * @param {Function} [options.isHidden] - Called with a child, true to leave it and its subtree out
+     * @param {Function} [options.sortChildren] - Called with the shown children, returns them in display order
+     * @param {Function} [options.foldChain] - Called with a shown child, returns
+     *     { end, folded } to show `end` in its place with `folded` collapsed into the edge, or null
+     */
+    compute(roots, isExpanded, minWidth = 0, options = {}) {
+        this.shownChildren = new Map();
+        this.folds = new Map();
+
+        const shownChildren = node => {
+            if (this.shownChildren.has(node.id)) return this.shownChildren.get(node.id);
+
+            let children = (node.children?.length && isExpanded(node)) ? node.children : [];
+            if (options.isHidden) children = children.filter(child => !options.isHidden(child));
+            if (options.sortChildren) children = options.sortChildren(children);
+            if (options.foldChain) {
+                children = children.map(child => {
+                    const chain = options.foldChain(child);
+                    if (!chain) return child;
+                    this.folds.set(chain.end.id, chain.folded);
+                    return chain.end;
+                });
+            }
+            this.shownChildren.set(node.id, children);
+            return children;
+        };
+        const visible = listVisible(roots, shownChildren);
+
+        this.positions = new Map();
+        this.edges = [];
+        this.parents = new Map();
+        this.roots = roots;
+        this.order = visible.map(entry => entry.node);
+
+        switch (this.mode) {
+            case LAYOUT_MODES.LEFT_RIGHT:
+                this.computeLeftRight(roots, visible, shownChildren);
+                break;
+            case LAYOUT_MODES.OUTLINE:
+                this.computeOutline(visible);
+                break;
+            case LAYOUT_MODES.RADIAL:
+                this.computeRadial(roots, visible, shownChildren);
+                break;
+            default:
+                this.computeTopDown(roots, visible, shownChildren, minWidth);
+        }
+    }
+
+    computeTopDown(roots, visible, shownChildren, minWidth) {
+        const { nodeWidth, nodeHeight, gapX, gapY, padding } = this.sizes;
+        const measure = measureSpans(visible, shownChildren, nodeWidth, gapX);
+        const treesWidth = this.getTreesSpan(roots, measure, gapX);
+
+        this.width = Math.max(minWidth, treesWidth + padding * 2);
+        const maxDepth = this.placeTidy(roots, shownChildren, measure, nodeWidth, gapX, (this.width - treesWidth) / 2,
+            (offset, depth) => ({ x: offset, y: padding + depth * (nodeHeight + gapY) }));
+        this.height = padding * 2 + (maxDepth + 1) * nodeHeight + maxDepth * gapY;
+    }
+
+    computeLeftRight(roots, visible, shownChildren) {
+        const { nodeWidth, nodeHeight, gapX, gapY, padding } = this.sizes;
+        const measure = measureSpans(visible, shownChildren, nodeHeight, gapX);
+
+        const maxDepth = this.placeTidy(roots, shownChildren, measure, nodeHeight, gapX, padding,
+            (offset, depth) => ({ x: padding + depth * (nodeWidth + gapY), y: offset }));
+        this.width = padding * 2 + (maxDepth + 1) * nodeWidth + maxDepth * gapY;
+        this.height = padding * 2 + this.getTreesSpan(roots, measure, gapX);
+    }
+
+    computeOutline(visible) {
+        const { nodeWidth, nodeHeight } = this.sizes;
+        const padding = Math.min(this.sizes.padding, OUTLINE_MAX_PADDING);
+
+        let maxDepth = 0;
+        visible.forEach(({ node, depth, parent }, row) => {
+            this.place(node, {
+                x: padding + depth * OUTLINE_INDENT,
+                y: padding + row * (nodeHeight + OUTLINE_ROW_GAP)
+            }, depth, parent);
+            maxDepth = Math.max(maxDepth, depth);
+        });
+
+        this.width = padding * 2 + maxDepth * OUTLINE_INDENT + nodeWidth;
+        this.height = padding * 2 + visible.length * (nodeHeight + OUTLINE_ROW_GAP) - OUTLINE_ROW_GAP;
+    }
+
+    /**
+     * Rings around the root, every subtree gets a slice of the circle sized by its leaf count
+     * Several roots share the first ring around an empty center.
+     */
+    computeRadial(roots, visible, shownChildren) {
+        const { nodeWidth, nodeHeight, gapX, gapY, padding } = this.sizes;
+        const firstRing = roots.length > 1 ? 1 : 0;
+
+        const leaves = new Map();
+        let maxRing = 0;
+        for (let i = visible.length - 1; i >= 0; i--) {
+            const { node, depth } = visible[i];
+            const children = shownChildren(node);
+            leaves.set(node, children.length ? children.reduce((sum, child) => sum + leaves.get(child), 0) : 1);
+            maxRing = Math.max(maxRing, depth + firstRing);
+        }
+        const totalLeaves = roots.reduce((sum, root) => sum + leaves.get(root), 0);
+
+        // Rings far enough apart for the cards, and for the leaves to fit on the outer one
+        const ringGap = Math.max(nodeWidth + gapY, totalLeaves * (nodeHeight + gapX) / (2 * Math.PI * Math.max(1, maxRing)));
+
+        const pending = [];
+        let start = -Math.PI / 2;
+        for (const root of roots) {
+            const sweep = 2 * Math.PI * leaves.get(root) / totalLeaves;
+            pending.push({ node: root, start, sweep, depth: 0, parent: null });
+            start += sweep;
+        }
+
+        while (pending.length) {
+            const { node, start: sliceStart, sweep, depth, parent } = pending.pop();
+            const radius = (depth + firstRing) * ringGap;
+            const angle = sliceStart + sweep / 2;
+            this.place(node, {
+                x: radius * Math.cos(angle) - nodeWidth / 2,
+                y: radius * Math.sin(angle) - nodeHeight / 2
+            }, depth, parent);
+
+            let childStart = sliceStart;
+            for (const child of shownChildren(node)) {
+                const childSweep = sweep * leaves.get(child) / leaves.get(node);
+                pending.push({ node: child, start: childStart, sweep: childSweep, depth: depth + 1, parent: node });
+                childStart += childSweep;
+            }
+        }
+
+        // Move the circle into the canvas
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const position of this.positions.values()) {
+            minX = Math.min(minX, position.x);
+            minY = Math.min(minY, position.y);
+            maxX = Math.max(maxX, position.x + nodeWidth);
+            maxY = Math.max(maxY, position.y + nodeHeight);
+        }
+        for (const position of this.positions.values()) {
+            position.x += padding - minX;
+            position.y += padding - minY;
+        }
+        this.width = this.positions.size ? maxX - minX + padding * 2 : 0;
+        this.height = this.positions.size ? maxY - minY + padding * 2 : 0;
+    }
+
+    /**
+     * Place the trees with every parent centered on its children
+     * @param {Function} toPoint - Maps (offset along the sibling axis, depth) to {x, y}
+     * @returns {number} Deepest depth placed
+     */
+    placeTidy(roots, shownChildren, measure, breadth, gap, start, toPoint) {
+        const { spans, childrenSpan } = measure;
+        let maxDepth = 0;
+        let offset = start;
+        const pending = [];
+        for (const root of roots) {
+            pending.push({ node: root, offset, depth: 0, parent: null });
+            offset += spans.get(root) + gap;
+        }
+
+        while (pending.length) {
+            const { node, offset: spanStart, depth, parent } = pending.pop();
+            const span = spans.get(node);
+            this.place(node, toPoint(spanStart + (span - breadth) / 2, depth), depth, parent);
+            maxDepth = Math.max(maxDepth, depth);
+
+            let childOffset = spanStart + (span - childrenSpan(node)) / 2;
+            for (const child of shownChildren(node)) {
+                pending.push({ node: child, offset: childOffset, depth: depth + 1, parent: node });
+                childOffset += spans.get(child) + gap;
+            }
+        }
+        return maxDepth;
+    }
+
+    getTreesSpan(roots, measure, gap) {
+        return roots.reduce((sum, root) => sum + measure.spans.get(root), 0) + gap * Math.max(0, roots.length - 1);
+    }
+
+    /**
+     * Store a node position and the edge from its parent (placed before it)
+     */
+    place(node, point, depth, parent) {
+        const position = { x: point.x, y: point.y, node, depth };
+        this.positions.set(node.id, position);
+        if (parent) {
+            this.parents.set(node.id, parent);
+            this.edges.push({ from: this.positions.get(parent.id), to: position, folded: this.folds.get(node.id) || null });
+        }
+    }
+
+    /**
+     * Nodes shown next to a node under the same parent, the node included
+     * @param {Object} node - Laid out view node
+     * @returns {Array}
+     */
+    getSiblings(node) {
+        const parent = this.parents.get(node.id);
+        return parent ? this.shownChildren.get(parent.id) : this.roots;
+    }
+
+    /**
+     * Positions of the nodes overlapping a rectangle
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Canvas coordinates
+     * @returns {Array<{x: number, y: number, node: Object, depth: number}>}
+     */
+    getNodesInRect(rect) {
+        const { nodeWidth, nodeHeight } = this.sizes;
+        const result = [];
+        for (const position of this.positions.values()) {
+            if (position.x + nodeWidth >= rect.left && position.x <= rect.right &&
+                position.y + nodeHeight >= rect.top && position.y <= rect.bottom) {
+                result.push(position);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Connector lines overlapping a rectangle
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - Canvas coordinates
+     * @param {Set<string>} [highlightIds] - UUIDs of nodes whose edge from above is drawn highlighted too
+     * @returns {{path: string, foldedPath: string, highlightPath: string, folds: Array<{node: Object, folded: Array, x: number, y: number}>}}
+     *     SVG path data of the plain, folded and highlighted edges, and where to label each folded edge
+     */
+    getEdgesInRect(rect, highlightIds = null) {
+        const result = { path: '', foldedPath: '', highlightPath: '', folds: [] };
+        for (const { from, to, folded } of this.edges) {
+            const { x1, y1, x2, y2, mid, d } = this.getConnector(from, to);
+            if (Math.max(x1, x2) < rect.left || Math.min(x1, x2) > rect.right ||
+                Math.max(y1, y2) < rect.top || Math.min(y1, y2) > rect.bottom) continue;
+
+            if (folded) {
+                result.foldedPath += d;
+                result.folds.push({ node: to.node, folded, x: mid.x, y: mid.y });
+            } else {
+                result.path += d;
+            }
+            if (highlightIds?.has(to.node.id)) result.highlightPath += d;
+        }
+        return result;
+    }
+
+    /**
+     * Line from a parent to a child in the shape of the current mode
+     * @returns {{x1: number, y1: number, x2: number, y2: number, mid: {x: number, y: number}, d: string}}
+     *     End points, label point and path data
+     */
+    getConnector(from, to) {
+        const { nodeWidth, nodeHeight } = this.sizes;
+
+        switch (this.mode) {
+            case LAYOUT_MODES.LEFT_RIGHT: {
+                const x1 = from.x + nodeWidth, y1 = from.y + nodeHeight / 2;
+                const x2 = to.x, y2 = to.y + nodeHeight / 2;
+                const cX = (x1 + x2) / 2;
+                return { x1, y1, x2, y2, mid: { x: cX, y: (y1 + y2) / 2 }, d: `M${x1},${y1} C${cX},${y1} ${cX},${y2} ${x2},${y2} ` };
+            }
+            case LAYOUT_MODES.OUTLINE: {
+                // Elbow from below the parent's left edge into the child's side
+                const x1 = from.x + OUTLINE_INDENT / 2, y1 = from.y + nodeHeight;
+                const x2 = to.x, y2 = to.y + nodeHeight / 2;
+                // The elbow is too short for a label, it goes after the child's card
+                return { x1, y1, x2, y2, mid: { x: to.x + nodeWidth + OUTLINE_INDENT / 2, y: y2 }, d: `M${x1},${y1} V${y2} H${x2} ` };
+            }
+            case LAYOUT_MODES.RADIAL: {
+                // Center to center, the cards hide the ends
+                const x1 = from.x + nodeWidth / 2, y1 = from.y + nodeHeight / 2;
+                const x2 = to.x + nodeWidth / 2, y2 = to.y + nodeHeight / 2;
+                return { x1, y1, x2, y2, mid: { x: (x1 + x2) / 2, y: (y1 + y2) / 2 }, d: `M${x1},${y1} L${x2},${y2} ` };
+            }
+            default: {
+                const x1 = from.x + nodeWidth / 2, y1 = from.y + nodeHeight;
+                const x2 = to.x + nodeWidth / 2, y2 = to.y;
+                const cY = (y1 + y2) / 2;
+                return { x1, y1, x2, y2, mid: { x: (x1 + x2) / 2, y: cY }, d: `M${x1},${y1} C${x1},${cY} ${x2},${cY} ${x2},${y2} ` };
+            }
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * TreeMinimap - The whole tree in miniature with the visible area marked
+ * Drawn on a canvas from the layout positions, so it costs the same for any
+ * number of nodes. Clicking or dragging it scrolls the tree view there.
+ */
+
+const MINIMAP_MAX_WIDTH = 180;
+const MINIMAP_MAX_HEIGHT = 140;
+
+export class TreeMinimap {
+    constructor(dependencies) {
+        this.onNavigate = dependencies.onNavigate; // Called with the layout point to center on
+        this.$root = null;
+        this.scale = 1; // Minimap px per layout px
+    }
+
+    /**
+     * Create the minimap inside a container
+     * @param {JQuery} $container - Element to draw into
+     */
+    mount($container) {
+        this.$root = $(`
+            <div class="chat-tree-minimap">
+                <canvas></canvas>
+                <div class="chat-tree-minimap-viewport"></div>
+            </div>
+        `).appendTo($container);
+
+        const root = this.$root[0];
+        const navigate = (e) => {
+            const rect = root.getBoundingClientRect();
+            this.onNavigate((e.clientX - rect.left) / this.scale, (e.clientY - rect.top) / this.scale);
+        };
+
+        root.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            root.setPointerCapture(e.pointerId);
+            navigate(e);
+        });
+        root.addEventListener('pointermove', (e) => {
+            if (root.hasPointerCapture(e.pointerId)) navigate(e);
+        });
+    }
+
+    /**
+     * Draw every node of the layout
+     * @param {TreeLayout} layout - Computed layout
+     * @param {Object} [highlights]
+     * @param {string} [highlights.currentId] - UUID of the active chat
+     * @param {Set<string>} [highlights.matchIds] - UUIDs of search matches
+     */
+    draw(layout, highlights = {}) {
+        if (!this.$root) return;
+
+        const canvas = this.$root.find('canvas')[0];
+        if (!layout.width || !layout.height) {
+            this.$root.addClass('empty');
+            return;
+        }
+        this.$root.removeClass('empty');
+
+        this.scale = Math.min(MINIMAP_MAX_WIDTH / layout.width, MINIMAP_MAX_HEIGHT / layout.height);
+        const width = Math.max(1, Math.round(layout.width * this.scale));
+        const height = Math.max(1, Math.round(layout.height * this.scale));
+        const ratio = window.devicePixelRatio || 1;
+
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        this.$root.css({ width, height });
+        $(canvas).css({ width, height });
+
+        const context = canvas.getContext('2d');
+        if (!context) return;
+        context.scale(ratio, ratio);
+
+        const accent = getComputedStyle(this.$root[0]).getPropertyValue('--tree-accent').trim() || '#4a9eff';
+        const nodeWidth = Math.max(1, layout.sizes.nodeWidth * this.scale);
+        const nodeHeight = Math.max(1, layout.sizes.nodeHeight * this.scale);
+
+        for (const position of layout.positions.values()) {
+            const id = position.node.id;
+            context.fillStyle = id === highlights.currentId ? accent
+                : highlights.matchIds?.has(id) ? '#ffd54a'
+                    : 'rgba(255, 255, 255, 0.35)';
+            context.fillRect(position.x * this.scale, position.y * this.scale, nodeWidth, nodeHeight);
+        }
+    }
+
+    /**
+     * Move the rectangle marking the visible area
+     * @param {{left: number, top: number, width: number, height: number}} rect - Layout coordinates
+     */
+    setViewport(rect) {
+        this.$root?.find('.chat-tree-minimap-viewport').css({
+            left: rect.left * this.scale,
+            top: rect.top * this.scale,
+            width: rect.width * this.scale,
+            height: rect.height * this.scale
+        });
+    }
+
+    setVisible(visible) {
+        this.$root?.toggle(visible);
+    }
+
+    destroy() {
+        this.$root?.remove();
+        this.$root = null;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * TreeRootManager - Searchable list of the root chats (stories) in the tree header
+ * Every root shows its branch count and last activity. Picking one browses its
+ * tree without loading the chat, the open button next to it switches to it and
+ * the flag button goes to the end of its canonical path.
+ */
+
+import { MessageViewerPopup } from './MessageViewerPopup.js';
+
+export class TreeRootManager {
+    constructor(dependencies) {
+        this.onBrowse = dependencies.onBrowse; // Called with the picked root view node
+        this.onOpen = dependencies.onOpen; // Called with the root view node whose chat to open
+        this.onCanonical = dependencies.onCanonical; // Called with the root view node and its canonical tip
+        this.entries = []; // { root, branchCount, lastActivity, lastActivityText, canonicalTip }
+        this.currentId = null; // Root of the active chat
+        this.browsedId = null; // Root shown or last scrolled to
+        this.opened = false;
+        this.$root = null;
+    }
+
+    /**
+     * Create the button and its panel inside a container
+     * @param {JQuery} $container - Element to render into
+     */
+    mount($container) {
+        this.$root = $(`
+            <div class="chat-tree-root-manager">
+                <button type="button" class="chat-tree-dropdown chat-tree-root-button" aria-haspopup="listbox" aria-expanded="false" title="Stories of this character">
+                    <span class="chat-tree-root-button-label"></span>
+                </button>
+                <div class="chat-tree-root-panel" style="display: none;">
+                    <input type="search" class="chat-tree-search-input chat-tree-root-search" placeholder="Search stories..." autocomplete="off" spellcheck="false">
+                    <div class="chat-tree-root-list" role="listbox" aria-label="Stories"></div>
+                </div>
+            </div>
+        `).appendTo($container);
+
+        this.$root.find('.chat-tree-root-button').on('click', () => this.toggle());
+        this.$root.find('.chat-tree-root-search').on('input', () => this.renderList());
+
+        this.$root.on('click', '.chat-tree-root-item', (e) => {
+            const entry = this.entries.find(item => item.root.id === $(e.currentTarget).data('uuid'));
+            if (!entry) return;
+            this.close();
+            if ($(e.target).closest('.chat-tree-root-open').length) {
+                this.onOpen(entry.root);
+            } else if ($(e.target).closest('.chat-tree-root-canonical').length) {
+                this.onCanonical(entry.root, entry.canonicalTip);
+            } else {
+                this.onBrowse(entry.root);
+            }
+        });
+
+        this.$root.on('keydown', (e) => {
+            if (!this.opened) return;
+            const $items = this.$root.find('.chat-tree-root-item');
+            const index = $items.index(document.activeElement);
+
+            switch (e.key) {
+                case 'Escape':
+                    this.close();
+                    this.$root.find('.chat-tree-root-button').trigger('focus');
+                    break;
+                case 'ArrowDown':
+                    $items.eq(Math.min(index + 1, $items.length - 1)).trigger('focus');
+                    break;
+                case 'ArrowUp':
+                    if (index <= 0) {
+                        this.$root.find('.chat-tree-root-search').trigger('focus');
+                    } else {
+                        $items.eq(index - 1).trigger('focus');
+                    }
+                    break;
+                case 'Enter':
+                    if (index === -1) return;
+                    $items.eq(index).trigger('click');
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+        });
+    }
+
+    /**
+     * Replace the listed roots
+     * @param {Array<{root: Object, branchCount: number, lastActivity: number|null, lastActivityText: string, canonicalTip: Object|null}>} entries
+     * @param {string|null} currentId - Root of the active chat
+     * @param {string|null} browsedId - Root in view
+     */
+    setRoots(entries, currentId, browsedId) {
+        this.entries = [...entries].sort((a, b) => (b.lastActivity || 0) - (a.lastActivity || 0));
+        this.currentId = currentId;
+        this.browsedId = browsedId;
+        if (!this.$root) return;
+
+        const browsed = entries.find(entry => entry.root.id === browsedId);
+        this.$root.toggle(entries.length > 1);
+        this.$root.find('.chat-tree-root-button-label').text(browsed ? browsed.root.name : `${entries.length} stories`);
+        if (this.isOpen()) this.renderList();
+    }
+
+    renderList() {
+        const query = String(this.$root.find('.chat-tree-root-search').val() || '').trim().toLowerCase();
+        const escape = MessageViewerPopup.escapeHtml;
+        const matches = this.entries.filter(entry => !query || entry.root.name.toLowerCase().includes(query));
+
+        const $list = this.$root.find('.chat-tree-root-list');
+        if (matches.length === 0) {
+            $list.html('<div class="chat-tree-root-empty">No matching stories</div>');
+            return;
+        }
+
+        $list.html(matches.map(({ root, branchCount, lastActivityText, canonicalTip }) => `
+            <div class="chat-tree-root-item ${root.id === this.browsedId ? 'browsed' : ''}" data-uuid="${escape(root.id)}"
+                role="option" tabindex="-1" aria-selected="${root.id === this.browsedId}">
+                <div class="chat-tree-root-info">
+                    <span class="chat-tree-root-name" title="${escape(root.name)}">
+                        ${root.id === this.currentId ? '<i class="fa-solid fa-location-dot" title="Current chat is in this story"></i>' : ''}
+                        ${escape(root.name)}
+                    </span>
+                    <small class="chat-tree-root-meta">${branchCount} branch${branchCount === 1 ? '' : 'es'} · ${escape(lastActivityText)}</small>
+                </div>
+                ${canonicalTip ? `<div class="chat-tree-root-canonical menu_button fa-solid fa-flag-checkered" title="Go to the canonical tip: ${escape(canonicalTip.name)}"></div>` : ''}
+                <div class="chat-tree-root-open menu_button fa-solid fa-arrow-up-right-from-square" title="Open this chat"></div>
+            </div>
+        `).join(''));
+    }
+
+    isOpen() {
+        return this.opened;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+            return;
+        }
+
+        this.opened = true;
+        this.$root.find('.chat-tree-root-search').val('');
+        this.renderList();
+        this.$root.find('.chat-tree-root-panel').show();
+        this.$root.find('.chat-tree-root-button').attr('aria-expanded', 'true');
+        this.$root.find('.chat-tree-root-search').trigger('focus');
+
+        $(document).on('mousedown.chatTreeRoots', (e) => {
+            if (!$(e.target).closest(this.$root).length) this.close();
+        });
+    }
+
+    close() {
+        this.opened = false;
+        $(document).off('mousedown.chatTreeRoots');
+        this.$root?.find('.chat-tree-root-panel').hide();
+        this.$root?.find('.chat-tree-root-button').attr('aria-expanded', 'false');
+    }
+
+    destroy() {
+        this.close();
+        this.$root?.remove();
+        this.$root = null;
+    }
+}